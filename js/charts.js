@@ -0,0 +1,147 @@
+/**
+ * Stats Charts
+ * Rolling per-tick samples and a small canvas renderer for the stats
+ * panel: one strip per panel, each scaled to its own maximum
+ */
+
+/**
+ * Per-tick samples ({ tickCount, ... }) for the last windowSize ticks
+ */
+export class RollingSeries {
+    constructor(windowSize = 200) {
+        this.windowSize = windowSize;
+        this.samples = [];
+    }
+
+    push(sample) {
+        // A tick at or before the newest one (new run, history jump) replaces the later ones
+        while (this.samples.length > 0 && this.samples[this.samples.length - 1].tickCount >= sample.tickCount) {
+            this.samples.pop();
+        }
+        this.samples.push(sample);
+        this.trim();
+    }
+
+    trim() {
+        const last = this.samples.length > 0 ? this.samples[this.samples.length - 1].tickCount : 0;
+        while (this.samples.length > 0 && this.samples[0].tickCount <= last - this.windowSize) {
+            this.samples.shift();
+        }
+    }
+
+    setWindowSize(windowSize) {
+        this.windowSize = Math.max(2, windowSize);
+        this.trim();
+    }
+
+    getWindowSize() {
+        return this.windowSize;
+    }
+
+    getSamples() {
+        return this.samples;
+    }
+
+    clear() {
+        this.samples = [];
+    }
+}
+
+function toCss(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+export class TimeSeriesCharts {
+    /**
+     * panels: [{ title, series: [{ key, label, color }] }], where color names
+     * an entry of the theme's chartColors
+     */
+    constructor(canvas, panels) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.panels = panels;
+        this.colors = null;
+
+        // Draw at device resolution, keep the CSS size
+        const ratio = window.devicePixelRatio || 1;
+        this.width = canvas.width;
+        this.height = canvas.height;
+        canvas.style.width = `${this.width}px`;
+        canvas.style.height = `${this.height}px`;
+        canvas.width = Math.round(this.width * ratio);
+        canvas.height = Math.round(this.height * ratio);
+        this.context.scale(ratio, ratio);
+    }
+
+    setColors(chartColors) {
+        this.colors = chartColors;
+    }
+
+    draw(samples, windowSize) {
+        const ctx = this.context;
+        const colors = this.colors;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = toCss(colors.background);
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        const panelHeight = this.height / this.panels.length;
+        const lastTick = samples.length > 0 ? samples[samples.length - 1].tickCount : 0;
+        const firstTick = lastTick - windowSize;
+        const x = tick => ((tick - firstTick) / windowSize) * this.width;
+
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'top';
+
+        this.panels.forEach((panel, index) => {
+            const top = index * panelHeight;
+            const plotTop = top + 14;
+            const plotHeight = panelHeight - 18;
+
+            // Shared scale for the panel's series
+            let max = 1;
+            samples.forEach(sample => {
+                panel.series.forEach(({ key }) => {
+                    max = Math.max(max, sample[key]);
+                });
+            });
+            const y = value => plotTop + plotHeight - (value / max) * plotHeight;
+
+            ctx.strokeStyle = toCss(colors.grid);
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(0, plotTop + plotHeight + 0.5);
+            ctx.lineTo(this.width, plotTop + plotHeight + 0.5);
+            ctx.stroke();
+
+            // Title, then each series' label and latest value
+            ctx.fillStyle = toCss(colors.text);
+            ctx.fillText(panel.title, 2, top + 1);
+            let labelX = ctx.measureText(panel.title).width + 10;
+            const latest = samples[samples.length - 1];
+            panel.series.forEach(({ key, label, color }) => {
+                const value = latest ? latest[key] : 0;
+                const text = `${label} ${Number.isInteger(value) ? value : value.toFixed(1)}`;
+                ctx.fillStyle = toCss(colors[color]);
+                ctx.fillText(text, labelX, top + 1);
+                labelX += ctx.measureText(text).width + 8;
+            });
+            ctx.fillStyle = toCss(colors.text);
+            ctx.textAlign = 'right';
+            ctx.fillText(String(Math.round(max)), this.width - 2, plotTop);
+            ctx.textAlign = 'left';
+
+            panel.series.forEach(({ key, color }) => {
+                if (samples.length < 2) return;
+                ctx.strokeStyle = toCss(colors[color]);
+                ctx.beginPath();
+                samples.forEach((sample, i) => {
+                    const px = x(sample.tickCount);
+                    const py = y(sample[key]);
+                    if (i === 0) ctx.moveTo(px, py);
+                    else ctx.lineTo(px, py);
+                });
+                ctx.stroke();
+            });
+        });
+    }
+}
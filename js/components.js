@@ -0,0 +1,115 @@
+/**
+ * Organism Components
+ * Headless flood fill of connected same-species living cells and the
+ * opposite-side pairing (no Three.js dependency, shared by OrganismTracker,
+ * the worker and the sweep CLI)
+ */
+
+import { matchPairs } from './pairing.js';
+import { angularDistance, SphereIndex } from './spatial.js';
+
+export { angularDistance };
+
+/**
+ * Find every connected group of living cells. Returns compact summaries:
+ * { cells: Int32Array, size, age (min cell age), species, center: {x, y, z} }
+ */
+export function detectComponents(state, adjacency, tiles) {
+    const { cellCount, alive, age, species } = state;
+    const { offsets, indices } = adjacency;
+    const visited = new Uint8Array(cellCount);
+    const components = [];
+    const stack = [];
+
+    for (let start = 0; start < cellCount; start++) {
+        if (!alive[start] || visited[start]) continue;
+
+        const componentSpecies = species[start];
+        const cells = [];
+        let minAge = Infinity;
+        let x = 0;
+        let y = 0;
+        let z = 0;
+
+        visited[start] = 1;
+        stack.push(start);
+
+        while (stack.length > 0) {
+            const tileId = stack.pop();
+            cells.push(tileId);
+            minAge = Math.min(minAge, age[tileId]);
+
+            const point = tiles[tileId].centerPoint;
+            x += +point.x;
+            y += +point.y;
+            z += +point.z;
+
+            // Add same-species living neighbors
+            for (let j = offsets[tileId]; j < offsets[tileId + 1]; j++) {
+                const neighbor = indices[j];
+                if (!visited[neighbor] && alive[neighbor] && species[neighbor] === componentSpecies) {
+                    visited[neighbor] = 1;
+                    stack.push(neighbor);
+                }
+            }
+        }
+
+        components.push({
+            cells: Int32Array.from(cells),
+            size: cells.length,
+            age: minAge,
+            species: componentSpecies,
+            center: { x: x / cells.length, y: y / cells.length, z: z / cells.length }
+        });
+    }
+
+    return components;
+}
+
+/**
+ * Pairs of organisms at least minAge old and minSize cells whose centers lie
+ * targetAngle degrees apart, within angularTolerance (a belt). Takes
+ * { id, age, size, center: {x, y, z}, motion } entries; returns
+ * [indexA, indexB] pairs. A motion other than 'any' pairs only organisms
+ * classified as such (see motion.js). Each organism is in at most one pair,
+ * picked by the policy (see pairing.js); 'stable' keeps previousPairs
+ * ([idA, idB]) that still qualify.
+ */
+export function findOppositePairs(organisms, { minAge, minSize, targetAngle, angularTolerance, motion = 'any', policy = 'nearest', previousPairs = [] }) {
+    const qualified = [];
+    organisms.forEach((organism, index) => {
+        if (organism.age >= minAge && organism.size >= minSize && (motion === 'any' || organism.motion === motion)) {
+            qualified.push(index);
+        }
+    });
+
+    // Each organism looks up the others in its belt; buckets about as wide
+    // as the belt keep the lookups to a few cells
+    const index = new SphereIndex(Math.min(30, Math.max(5, angularTolerance)));
+    qualified.forEach(a => index.insert(a, organisms[a].center));
+
+    const candidates = [];
+    qualified.forEach(a => {
+        index.queryBelt(organisms[a].center, targetAngle, angularTolerance).forEach(({ id: b, angle }) => {
+            if (b <= a) return; // each pair once
+            const error = Math.abs(angle - targetAngle);
+            // Size-weighted score: the sizes, counted down to half at the edge of the belt
+            const closeness = angularTolerance > 0 ? 1 - error / (2 * angularTolerance) : 1;
+            candidates.push({ a, b, error, score: (organisms[a].size + organisms[b].size) * closeness });
+        });
+    });
+    // In index order, as a scan over every pair would list them
+    candidates.sort((x, y) => x.a - y.a || x.b - y.b);
+
+    let kept = [];
+    if (policy === 'stable' && previousPairs.length > 0) {
+        const previous = new Set(previousPairs.map(([x, y]) => (x < y ? `${x}:${y}` : `${y}:${x}`)));
+        kept = candidates.filter(({ a, b }) => {
+            const x = organisms[a].id;
+            const y = organisms[b].id;
+            return previous.has(x < y ? `${x}:${y}` : `${y}:${x}`);
+        });
+    }
+
+    return matchPairs(candidates, policy, kept).map(({ a, b }) => [a, b]);
+}
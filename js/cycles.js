@@ -0,0 +1,124 @@
+/**
+ * Cycle Detection
+ * Hashes each generation's cells (alive set, Generations decay, species)
+ * to spot extinction, still lifes and period-N cycles (no Three.js
+ * dependency)
+ */
+
+// 32-bit FNV-1a over the alive bytes
+export function hashAlive(alive) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < alive.length; i++) {
+        hash ^= alive[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Everything the next generation depends on, in one byte array: alive
+// flags, then decay states, then the species of the live cells
+function snapshotCells({ alive, decay, species }) {
+    const n = alive.length;
+    const cells = new Uint8Array(n * 3);
+    cells.set(alive);
+    if (decay && decay.length === n) {
+        cells.set(decay, n);
+    }
+    if (species && species.length === n) {
+        for (let i = 0; i < n; i++) {
+            if (alive[i]) cells[2 * n + i] = species[i];
+        }
+    }
+    return cells;
+}
+
+function isEmpty(alive) {
+    for (let i = 0; i < alive.length; i++) {
+        if (alive[i]) return false;
+    }
+    return true;
+}
+
+function sameCells(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+export class CycleDetector {
+    constructor(maxPeriod = 60) {
+        this.maxPeriod = maxPeriod;
+        this.reset();
+    }
+
+    reset() {
+        // Last maxPeriod generations as { tickCount, hash, cells }, oldest first
+        this.recent = [];
+        // 'running', 'extinct', 'still' or 'cycle'; period is 0 while running
+        this.status = { state: 'running', period: 0, tickCount: 0 };
+    }
+
+    /**
+     * Add the next generation: a LifeSimulation.getState(), or anything with
+     * an alive array and optionally decay and species arrays. Ticks must be
+     * consecutive; a gap (e.g. after jumping in history) starts over.
+     *
+     * Set stochastic while random rules (survival or birth probability,
+     * sudden or age death, species picks) are on: a repeated generation
+     * then proves nothing, so only extinction is reported.
+     *
+     * Returns the status, with changed set when it differs from the
+     * previous one.
+     */
+    record(tickCount, generation, stochastic = false) {
+        const last = this.recent[this.recent.length - 1];
+        if (last && last.tickCount !== tickCount - 1) {
+            this.reset();
+        }
+
+        const previous = this.status;
+        const cells = snapshotCells(generation);
+        const hash = hashAlive(cells);
+        let state = 'running';
+        let period = 0;
+
+        if (isEmpty(generation.alive)) {
+            state = 'extinct';
+        } else if (!stochastic) {
+            // Newest first, so the shortest period wins; compare cells to rule out collisions
+            for (let i = this.recent.length - 1; i >= 0; i--) {
+                const entry = this.recent[i];
+                if (entry.hash === hash && sameCells(entry.cells, cells)) {
+                    period = tickCount - entry.tickCount;
+                    state = period === 1 ? 'still' : 'cycle';
+                    break;
+                }
+            }
+        }
+
+        this.recent.push({ tickCount, hash, cells });
+        if (this.recent.length > this.maxPeriod) {
+            this.recent.shift();
+        }
+
+        const changed = state !== previous.state || period !== previous.period;
+        // Keep the tick the current state was first seen at
+        this.status = { state, period, tickCount: changed ? tickCount : previous.tickCount };
+        return { ...this.status, changed };
+    }
+
+    getStatus() {
+        return { ...this.status };
+    }
+
+    setMaxPeriod(maxPeriod) {
+        this.maxPeriod = Math.max(1, maxPeriod);
+        this.recent.splice(0, Math.max(0, this.recent.length - this.maxPeriod));
+    }
+
+    getMaxPeriod() {
+        return this.maxPeriod;
+    }
+}
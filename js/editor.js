@@ -0,0 +1,226 @@
+/**
+ * Cell Editor
+ * Click-and-paint editing of the cells on the sphere. In edit mode the left
+ * button draws, erases or stamps library patterns under the pointer; hold
+ * Alt to orbit the camera instead. Works while paused.
+ */
+
+import * as THREE from 'three';
+import { getTilesWithinRadius } from './topology.js';
+import { findPattern } from './patterns.js';
+
+// Modifier that hands the pointer back to OrbitControls while editing
+const ORBIT_KEY = 'Alt';
+
+export class CellEditor {
+    constructor(sceneManager, gridManager, gameEngine, organismTracker) {
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.getScene();
+        this.grid = gridManager;
+        this.game = gameEngine;
+        this.organisms = organismTracker;
+
+        // Settings
+        this.enabled = false;
+        this.tool = 'draw'; // 'draw' (toggle/paint), 'erase' or 'stamp'
+        this.brushRadius = 0; // rings around the tile under the pointer
+        this.stampPattern = null; // library pattern name for the stamp tool
+        this.highlightColor = 0xffff66;
+
+        // Pointer state
+        this.hoverTile = -1;
+        this.hoverTiles = null; // grid tiles the highlight was built for
+        this.painting = false;
+        this.paintValue = true; // alive or dead for the current stroke
+        this.lastPaintedTile = -1;
+        this.orbitKeyDown = false;
+
+        this.highlightMesh = null;
+
+        this.initEvents();
+    }
+
+    initEvents() {
+        const element = this.sceneManager.getDomElement();
+
+        element.addEventListener('pointermove', event => this.onPointerMove(event));
+        element.addEventListener('pointerdown', event => this.onPointerDown(event));
+        element.addEventListener('pointerup', event => this.endStroke(event));
+        element.addEventListener('pointercancel', event => this.endStroke(event));
+        element.addEventListener('pointerleave', () => this.setHoverTile(-1));
+
+        window.addEventListener('keydown', event => {
+            if (event.key === ORBIT_KEY) this.setOrbitKeyDown(true);
+        });
+        window.addEventListener('keyup', event => {
+            if (event.key === ORBIT_KEY) this.setOrbitKeyDown(false);
+        });
+        window.addEventListener('blur', () => this.setOrbitKeyDown(false));
+    }
+
+    setOrbitKeyDown(down) {
+        this.orbitKeyDown = down;
+        this.updateControls();
+    }
+
+    updateControls() {
+        // The camera only moves outside edit mode or while the orbit key is held
+        this.sceneManager.setControlsEnabled(!this.enabled || this.orbitKeyDown);
+    }
+
+    getTileUnderPointer(event) {
+        const point = this.sceneManager.raycastSphere(event.clientX, event.clientY, this.grid.getRadius());
+        return point ? this.grid.getTileAt(point) : -1;
+    }
+
+    onPointerMove(event) {
+        if (!this.enabled || this.orbitKeyDown) {
+            this.setHoverTile(-1);
+            return;
+        }
+
+        const tile = this.getTileUnderPointer(event);
+        this.setHoverTile(tile);
+
+        if (this.painting && tile >= 0 && tile !== this.lastPaintedTile) {
+            this.paint(tile);
+        }
+    }
+
+    onPointerDown(event) {
+        if (!this.enabled || this.orbitKeyDown || event.button !== 0) return;
+
+        const tile = this.getTileUnderPointer(event);
+        if (tile < 0) return;
+
+        if (this.tool === 'stamp') {
+            this.stamp(tile);
+            return;
+        }
+
+        // A click toggles the tile; dragging on paints the same value
+        this.paintValue = this.tool === 'draw' ? !this.game.isAlive(tile) : false;
+        this.painting = true;
+        this.sceneManager.getDomElement().setPointerCapture(event.pointerId);
+        this.paint(tile);
+    }
+
+    endStroke(event) {
+        if (!this.painting) return;
+
+        this.painting = false;
+        this.lastPaintedTile = -1;
+        const element = this.sceneManager.getDomElement();
+        if (element.hasPointerCapture(event.pointerId)) {
+            element.releasePointerCapture(event.pointerId);
+        }
+        this.organisms.refresh();
+    }
+
+    paint(tile) {
+        this.lastPaintedTile = tile;
+        this.game.setCells(this.getBrushTiles(tile), this.paintValue);
+    }
+
+    stamp(tile) {
+        // The GUI offers the stamp tool only with a library pattern selected
+        if (!findPattern(this.stampPattern)) return;
+
+        const { rotation, mirror } = this.game.getPatternPlacement();
+        this.game.stampPattern(this.stampPattern, tile, rotation, mirror);
+        this.organisms.refresh();
+    }
+
+    getBrushTiles(tile) {
+        // Stamps show a single tile; the pattern shape depends on the placement
+        const radius = this.tool === 'stamp' ? 0 : this.brushRadius;
+        return getTilesWithinRadius(this.grid.getAdjacency(), tile, radius);
+    }
+
+    setHoverTile(tile) {
+        const tiles = this.grid.getTiles();
+        if (tile === this.hoverTile && tiles === this.hoverTiles) return;
+
+        this.hoverTile = tile;
+        this.hoverTiles = tiles;
+        this.removeHighlight();
+        if (tile >= 0) {
+            this.createHighlight(this.getBrushTiles(tile));
+        }
+    }
+
+    createHighlight(tileIndices) {
+        // Outline the brush, lifted slightly off the grid lines
+        const positions = [];
+        const lift = 1.005;
+        tileIndices.forEach(index => {
+            const boundary = this.grid.getTile(index).boundary;
+            for (let i = 0; i < boundary.length; i++) {
+                const p1 = boundary[i];
+                const p2 = boundary[(i + 1) % boundary.length];
+                positions.push(p1.x * lift, p1.y * lift, p1.z * lift);
+                positions.push(p2.x * lift, p2.y * lift, p2.z * lift);
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const material = new THREE.LineBasicMaterial({ color: this.highlightColor });
+        this.highlightMesh = new THREE.LineSegments(geometry, material);
+        this.scene.add(this.highlightMesh);
+    }
+
+    removeHighlight() {
+        if (this.highlightMesh) {
+            this.scene.remove(this.highlightMesh);
+            this.highlightMesh.geometry.dispose();
+            this.highlightMesh.material.dispose();
+            this.highlightMesh = null;
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.painting = false;
+            this.setHoverTile(-1);
+        }
+        this.updateControls();
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    setTool(tool) {
+        this.tool = tool;
+        this.refreshHighlight();
+    }
+
+    getTool() {
+        return this.tool;
+    }
+
+    setBrushRadius(radius) {
+        this.brushRadius = Math.max(0, Math.floor(radius));
+        this.refreshHighlight();
+    }
+
+    getBrushRadius() {
+        return this.brushRadius;
+    }
+
+    setStampPattern(name) {
+        this.stampPattern = name;
+    }
+
+    refreshHighlight() {
+        const tile = this.hoverTile;
+        this.hoverTile = -1;
+        this.setHoverTile(tile);
+    }
+
+    dispose() {
+        this.removeHighlight();
+    }
+}
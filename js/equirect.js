@@ -0,0 +1,137 @@
+/**
+ * Equirectangular Maps
+ * Projects tiles to and from 2D lat/long rasters (no Three.js dependency).
+ * Pixel layout matches the UVs of THREE.SphereGeometry: row 0 is the north
+ * pole (+y), longitude runs from the -x axis towards +z, so an exported map
+ * wraps back onto the sphere as a texture.
+ */
+
+function unitCenter(tile) {
+    // Hexasphere stores centerPoint coordinates as strings
+    const x = +tile.centerPoint.x;
+    const y = +tile.centerPoint.y;
+    const z = +tile.centerPoint.z;
+    const length = Math.sqrt(x * x + y * y + z * z) || 1;
+    return [x / length, y / length, z / length];
+}
+
+/**
+ * Fractional pixel position (u in [0, 1) around, v in [0, 1] from the
+ * north pole down) of a tile center
+ */
+export function getTileUV(tile) {
+    const [x, y, z] = unitCenter(tile);
+    const phi = Math.atan2(z, -x);
+    return {
+        u: (phi < 0 ? phi + 2 * Math.PI : phi) / (2 * Math.PI),
+        v: Math.acos(Math.max(-1, Math.min(1, y))) / Math.PI
+    };
+}
+
+/**
+ * Latitude and longitude in degrees of a point, on the same grid as the
+ * maps: longitude -180 at the left edge, latitude 90 at the top
+ */
+export function getLatLong(point) {
+    const length = Math.hypot(point.x, point.y, point.z) || 1;
+    const lat = Math.asin(Math.max(-1, Math.min(1, point.y / length))) * (180 / Math.PI);
+    // Map u in [0, 1) spans longitudes -180 .. 180
+    const phi = Math.atan2(point.z, -point.x) * (180 / Math.PI);
+    const lon = (phi < 0 ? phi + 360 : phi) - 180;
+    return { lat, lon };
+}
+
+/**
+ * Tile under every pixel of a width x height map, row by row. Each pixel
+ * starts from the tile of its left (or upper) neighbor and walks the
+ * adjacency towards its direction, so the whole map costs a few steps per
+ * pixel instead of a search over all tiles.
+ */
+export function mapPixelsToTiles(tiles, adjacency, width, height) {
+    const { offsets, indices } = adjacency;
+    const centers = new Float64Array(tiles.length * 3);
+    tiles.forEach((tile, index) => {
+        centers.set(unitCenter(tile), index * 3);
+    });
+    const dot = (tile, x, y, z) => centers[tile * 3] * x + centers[tile * 3 + 1] * y + centers[tile * 3 + 2] * z;
+
+    const pixelTiles = new Int32Array(width * height);
+    let rowStart = 0;
+    for (let py = 0; py < height; py++) {
+        const theta = ((py + 0.5) / height) * Math.PI;
+        const sinTheta = Math.sin(theta);
+        const y = Math.cos(theta);
+        let tile = rowStart;
+
+        for (let px = 0; px < width; px++) {
+            const phi = ((px + 0.5) / width) * 2 * Math.PI;
+            const x = -Math.cos(phi) * sinTheta;
+            const z = Math.sin(phi) * sinTheta;
+
+            // Greedy walk: the nearest center has no closer neighbor
+            let best = dot(tile, x, y, z);
+            let moved = true;
+            while (moved) {
+                moved = false;
+                for (let i = offsets[tile]; i < offsets[tile + 1]; i++) {
+                    const score = dot(indices[i], x, y, z);
+                    if (score > best) {
+                        best = score;
+                        tile = indices[i];
+                        moved = true;
+                    }
+                }
+            }
+
+            pixelTiles[py * width + px] = tile;
+            if (px === 0) rowStart = tile;
+        }
+    }
+    return pixelTiles;
+}
+
+/**
+ * RGBA pixels (ImageData layout) painting each pixel with its tile's
+ * 0xRRGGBB color
+ */
+export function renderEquirect(pixelTiles, tileColors) {
+    const pixels = new Uint8ClampedArray(pixelTiles.length * 4);
+    for (let i = 0; i < pixelTiles.length; i++) {
+        const color = tileColors[pixelTiles[i]];
+        pixels[i * 4] = (color >> 16) & 0xff;
+        pixels[i * 4 + 1] = (color >> 8) & 0xff;
+        pixels[i * 4 + 2] = color & 0xff;
+        pixels[i * 4 + 3] = 255;
+    }
+    return pixels;
+}
+
+/**
+ * Brightness in [0, 1] of an image ({ data, width, height }, RGBA) at each
+ * tile's lat/long. Transparent pixels count as dark.
+ */
+export function sampleEquirect(tiles, image) {
+    const { data, width, height } = image;
+    const values = new Float32Array(tiles.length);
+    tiles.forEach((tile, index) => {
+        const { u, v } = getTileUV(tile);
+        const px = Math.min(width - 1, Math.floor(u * width));
+        const py = Math.min(height - 1, Math.floor(v * height));
+        const offset = (py * width + px) * 4;
+        const luminance = 0.2126 * data[offset] + 0.7152 * data[offset + 1] + 0.0722 * data[offset + 2];
+        values[index] = (luminance / 255) * (data[offset + 3] / 255);
+    });
+    return values;
+}
+
+/**
+ * Alive cells where the sampled brightness reaches the threshold (or stays
+ * below it, inverted)
+ */
+export function thresholdCells(values, threshold = 0.5, invert = false) {
+    const cells = new Uint8Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        cells[i] = (values[i] >= threshold) !== invert ? 1 : 0;
+    }
+    return cells;
+}
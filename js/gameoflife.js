@@ -1,24 +1,45 @@
 /**
  * Game of Life Engine
- * Implements hex-adapted Conway's Game of Life rules
+ * Renders the headless LifeSimulation core as cell meshes on the sphere.
+ * Ticks run in a Web Worker when available; the local LifeSimulation then
+ * mirrors the rules and the latest state the worker sent back.
  */
 
 import * as THREE from 'three';
+import { LifeSimulation } from './simulation.js';
+import { SimulationHistory } from './history.js';
+import { CycleDetector } from './cycles.js';
+import { SeededRandom } from './random.js';
+
+// One color per species (simulation MAX_SPECIES)
+const SPECIES_COLORS = [0x00ff88, 0xff5577, 0x55aaff, 0xffdd33, 0xcc66ff, 0xff9933, 0x33ffee, 0xffffff];
 
 export class GameOfLifeEngine {
     constructor(gridManager, sceneManager) {
         this.grid = gridManager;
         this.scene = sceneManager.getScene();
 
-        // Cell states
-        this.cells = [];
-        this.tileIdToIndex = new Map(); // Maps string neighborIds to array indices
+        // Simulation core (rules and cell states)
+        this.simulation = new LifeSimulation(this.grid.getTiles(), this.grid.getAdjacency());
+
+        // Recent ticks, for stepping back and the timeline
+        this.history = new SimulationHistory(500);
+
+        // Extinction / still life / cycle detection over the alive sets.
+        // settleReaction: 'log' (and keep ticking), 'pause' or 'reseed'
+        // (restart the seed pattern with a fresh RNG seed)
+        this.cycles = new CycleDetector(60);
+        this.settleReaction = 'log';
+        this.lastSeed = { pattern: 'random', density: 0.2 };
+
+        // Event listeners by type: 'tick' after each newly computed
+        // generation, 'settle' (see detectSettling())
+        this.listeners = new Map();
 
         // Timing
         this.tickSpeed = 1.0; // seconds
         this.paused = false;
         this.timeSinceLastTick = 0;
-        this.tickCount = 0;
 
         // Visual settings
         this.cellOpacity = 0.7;
@@ -27,118 +48,151 @@ export class GameOfLifeEngine {
         // Cell meshes
         this.cellMeshes = new Map(); // tileId -> mesh
 
-        // Survival and birth rules (probability-based)
-        this.survivalRules = {
-            minNeighbors: 2,
-            maxNeighbors: 3,
-            probabilityEnabled: false,
-            probability: 1.0 // Probability of survival when neighbor count is in range
-        };
+        // Continuous mode: levels below this are not drawn
+        this.minVisibleLevel = 0.02;
 
-        this.birthRules = {
-            minNeighbors: 2,
-            maxNeighbors: 2,
-            probabilityEnabled: false,
-            probability: 1.0 // Probability of birth when neighbor count is in range
-        };
+        // Render key per cell (color/opacity) so only changed cells are touched
+        this.visualKeys = null;
 
-        // Death rules
-        this.deathRules = {
-            ageDeathEnabled: false,
-            ageDeathRate: 0.01, // Exponential rate parameter (lambda)
-            ageDeathThreshold: 100, // Age at which exponential death starts
-            suddenDeathEnabled: false,
-            suddenDeathProbability: 0.001 // Per-tick probability of sudden death
-        };
+        // Worker state
+        this.worker = null;
+        this.workerEpoch = 0; // bumped on initialize so stale states are dropped
+        this.workerAdjacency = null; // adjacency last sent to the worker
+        this.organismSummaries = null;
+        this.organismFrequency = 5;
+        this.startWorker();
 
         this.initialize('random');
     }
 
-    initialize(seedPattern = 'random', density = 0.2) {
-        console.log(`Initializing with pattern: ${seedPattern}, density: ${density}`);
+    startWorker() {
+        if (typeof Worker === 'undefined') return;
 
-        // Clear existing cells
-        this.clearCells();
+        try {
+            this.worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Simulation worker unavailable, ticking on the main thread:', error);
+            this.worker = null;
+            return;
+        }
+
+        this.worker.onmessage = event => this.handleWorkerMessage(event.data);
+        this.worker.onerror = event => {
+            console.warn('Simulation worker failed, ticking on the main thread:', event.message);
+            this.stopWorker();
+        };
+        this.worker.postMessage({ type: 'setTickSpeed', tickSpeed: this.tickSpeed });
+        this.worker.postMessage({ type: 'setPaused', paused: this.paused });
+    }
 
-        // Initialize cell states and create ID mapping
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.workerAdjacency = null;
+        this.organismSummaries = null;
+    }
+
+    postToWorker(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        }
+    }
+
+    sendTopologyToWorker() {
+        const adjacency = this.grid.getAdjacency();
+        if (this.workerAdjacency === adjacency) return;
+
+        // Tile centers are all the worker needs from the tiles
         const tiles = this.grid.getTiles();
-        this.tileIdToIndex.clear();
-
-        this.cells = tiles.map((tile, index) => {
-            // Create coordinate string ID (same format as neighborIds)
-            const tileId = `${tile.centerPoint.x},${tile.centerPoint.y},${tile.centerPoint.z}`;
-            this.tileIdToIndex.set(tileId, index);
-
-            return {
-                tileId: index,
-                alive: false,
-                age: 0,
-                previousState: false,
-                stabilityCounter: 0
-            };
+        const centers = new Float64Array(tiles.length * 3);
+        tiles.forEach((tile, index) => {
+            centers[index * 3] = +tile.centerPoint.x;
+            centers[index * 3 + 1] = +tile.centerPoint.y;
+            centers[index * 3 + 2] = +tile.centerPoint.z;
         });
 
-        // Apply seed pattern
-        switch (seedPattern) {
-            case 'random':
-                this.seedRandom(density);
-                break;
-            case 'cluster':
-                this.seedCluster();
-                break;
-            case 'ring':
-                this.seedRing();
-                break;
-            default:
-                this.seedRandom(density);
+        this.worker.postMessage({
+            type: 'topology',
+            centers,
+            offsets: adjacency.offsets,
+            indices: adjacency.indices
+        });
+        this.workerAdjacency = adjacency;
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type !== 'state' || message.epoch !== this.workerEpoch) return;
+
+        this.simulation.loadState(message);
+        this.history.record(this.simulation.getState());
+        this.emit('tick', { tickCount: message.tickCount });
+        this.detectSettling();
+        if (message.organisms) {
+            this.organismSummaries = { tickCount: message.tickCount, components: message.organisms };
         }
 
-        const initialAlive = this.cells.filter(c => c.alive).length;
-        console.log(`Initialized: ${initialAlive} / ${this.cells.length} cells alive (${(initialAlive/this.cells.length*100).toFixed(1)}%)`);
+        if (message.tickCount % 10 === 0) {
+            console.log(`Tick ${message.tickCount}: ${this.simulation.getAliveCount()} cells alive`);
+        }
 
-        this.tickCount = 0;
         this.updateVisuals();
     }
 
-    seedRandom(density) {
-        this.cells.forEach(cell => {
-            cell.alive = Math.random() < density;
-        });
+    /**
+     * Apply a rule/setting change to the local simulation (which mirrors the
+     * rules for the UI and stats) and forward it to the worker
+     */
+    callSimulation(method, ...args) {
+        const result = this.simulation[method](...args);
+        this.postToWorker({ type: 'call', method, args });
+        return result;
     }
 
-    seedCluster() {
-        // Create a few random clusters
-        const clusterCount = 5;
-        for (let i = 0; i < clusterCount; i++) {
-            const centerIndex = Math.floor(Math.random() * this.cells.length);
-            this.cells[centerIndex].alive = true;
-
-            // Activate neighbors
-            const neighbors = this.grid.getNeighbors(centerIndex);
-            neighbors.forEach(neighbor => {
-                const neighborId = this.grid.getTiles().indexOf(neighbor);
-                if (neighborId >= 0) {
-                    this.cells[neighborId].alive = true;
-                }
-            });
-        }
+    initialize(seedPattern = 'random', density = 0.2, seed = this.simulation.getSeed()) {
+        console.log(`Initializing with pattern: ${seedPattern}, density: ${density}, seed: ${seed}`);
+        this.lastSeed = { pattern: seedPattern, density };
+        this.startRun('initialize', [seedPattern, density, seed]);
     }
 
-    seedRing() {
-        // Create a ring around the equator
-        const tiles = this.grid.getTiles();
-        tiles.forEach((tile, index) => {
-            const y = tile.centerPoint.y;
-            const radius = this.grid.getRadius();
-            // Ring at equator with some tolerance
-            if (Math.abs(y) < radius * 0.1) {
-                this.cells[index].alive = true;
-            }
-        });
+    // Start from an explicit alive pattern (see LifeSimulation.initializeCells)
+    initializeCells(cells, seed = this.simulation.getSeed(), randomState = null) {
+        console.log(`Initializing from a given pattern, seed: ${seed}`);
+        this.startRun('initializeCells', [cells, seed, randomState]);
+    }
+
+    startRun(method, args) {
+        // Clear existing cells
+        this.clearCells();
+
+        // Pick up the current grid (radius and subdivisions may have changed)
+        this.simulation.setTopology(this.grid.getTiles(), this.grid.getAdjacency());
+        this.simulation[method](...args);
+        this.history.clear();
+        this.history.record(this.simulation.getState());
+        // Seed the detector without reacting, so an empty seed cannot reseed in a loop
+        this.cycles.reset();
+        this.cycles.record(this.simulation.getTickCount(), this.simulation.getState(), this.simulation.isStochastic());
+
+        // The worker seeds identically from the same seed and takes over ticking
+        if (this.worker) {
+            this.sendTopologyToWorker();
+            this.workerEpoch++;
+            this.organismSummaries = null;
+            this.worker.postMessage({ type: 'initialize', epoch: this.workerEpoch, method, args });
+        }
+
+        const cellCount = this.simulation.getState().cellCount;
+        const initialAlive = this.simulation.getAliveCount();
+        console.log(`Initialized: ${initialAlive} / ${cellCount} cells alive (${(initialAlive/cellCount*100).toFixed(1)}%)`);
+
+        this.updateVisuals();
     }
 
     update(deltaTime) {
-        if (this.paused) return;
+        // The worker runs its own tick timer
+        if (this.paused || this.worker) return;
 
         this.timeSinceLastTick += deltaTime;
 
@@ -149,148 +203,243 @@ export class GameOfLifeEngine {
     }
 
     tick() {
-        const nextStates = [];
+        if (this.worker) {
+            this.worker.postMessage({ type: 'step' });
+            return;
+        }
 
-        // Debug: count alive cells before
-        const aliveBefore = this.cells.filter(c => c.alive).length;
+        const aliveBefore = this.simulation.getAliveCount();
+        this.simulation.step();
+        this.history.record(this.simulation.getState());
 
-        // Debug: sample neighbor counts for first few ticks
-        const neighborStats = { 0: 0, 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0 };
+        const tickCount = this.simulation.getTickCount();
+        if (tickCount % 10 === 0) {
+            console.log(`Tick ${tickCount}: ${aliveBefore} → ${this.simulation.getAliveCount()} cells alive`);
+        }
 
-        // Calculate next state for each cell
-        this.cells.forEach((cell, index) => {
-            const neighborCount = this.countLivingNeighbors(index);
-            let nextAlive = cell.alive;
+        this.updateVisuals();
+        this.emit('tick', { tickCount });
+        this.detectSettling();
+    }
 
-            // Track neighbor distribution for alive cells
-            if (cell.alive && this.tickCount < 3) {
-                neighborStats[neighborCount]++;
-            }
+    /**
+     * Feed the current generation to the cycle detector. When the run dies
+     * out or settles into a still life or cycle, emit 'settle' and react.
+     */
+    detectSettling() {
+        // Levels keep changing under a steady alive set in continuous mode
+        if (this.simulation.getMode() === 'continuous') return;
 
-            // Hex-adapted GOL rules with configurable probabilities
-            // Hexagonal grids have 6 neighbors (vs 8 in square grids)
-            if (cell.alive) {
-                // Check survival rules
-                const inSurvivalRange = neighborCount >= this.survivalRules.minNeighbors &&
-                                       neighborCount <= this.survivalRules.maxNeighbors;
-
-                if (inSurvivalRange) {
-                    // Apply survival probability if enabled
-                    if (this.survivalRules.probabilityEnabled) {
-                        nextAlive = Math.random() < this.survivalRules.probability;
-                    } else {
-                        nextAlive = true;
-                    }
-                } else {
-                    nextAlive = false;
-                }
-
-                // Apply death rules if cell would survive
-                if (nextAlive) {
-                    // Check sudden death rule
-                    if (this.deathRules.suddenDeathEnabled) {
-                        if (Math.random() < this.deathRules.suddenDeathProbability) {
-                            nextAlive = false;
-                        }
-                    }
-
-                    // Check age-based death rule (exponential probability)
-                    if (nextAlive && this.deathRules.ageDeathEnabled && cell.age >= this.deathRules.ageDeathThreshold) {
-                        const ageOverThreshold = cell.age - this.deathRules.ageDeathThreshold;
-                        // Exponential probability: P(death) = 1 - e^(-lambda * age)
-                        const deathProbability = 1 - Math.exp(-this.deathRules.ageDeathRate * ageOverThreshold);
-                        if (Math.random() < deathProbability) {
-                            nextAlive = false;
-                        }
-                    }
-                }
-            } else {
-                // Check birth rules
-                const inBirthRange = neighborCount >= this.birthRules.minNeighbors &&
-                                    neighborCount <= this.birthRules.maxNeighbors;
-
-                if (inBirthRange) {
-                    // Apply birth probability if enabled
-                    if (this.birthRules.probabilityEnabled) {
-                        nextAlive = Math.random() < this.birthRules.probability;
-                    } else {
-                        nextAlive = true;
-                    }
-                } else {
-                    nextAlive = false;
-                }
-            }
+        const state = this.simulation.getState();
+        const status = this.cycles.record(state.tickCount, state, this.simulation.isStochastic());
+        if (!status.changed || status.state === 'running') return;
 
-            nextStates.push(nextAlive);
-        });
+        const detail = { state: status.state, period: status.period, tickCount: status.tickCount };
+        console.log(`Tick ${detail.tickCount}: ${this.describeSettling(detail)}, reaction: ${this.settleReaction}`);
+        this.emit('settle', detail);
 
-        // Update states
-        this.cells.forEach((cell, index) => {
-            cell.previousState = cell.alive;
-            cell.alive = nextStates[index];
-
-            if (cell.alive) {
-                cell.age++;
-                if (cell.alive === cell.previousState) {
-                    cell.stabilityCounter++;
-                } else {
-                    cell.stabilityCounter = 0;
-                }
-            } else {
-                cell.age = 0;
-                cell.stabilityCounter = 0;
-            }
-        });
+        switch (this.settleReaction) {
+            case 'pause':
+                this.setPaused(true);
+                break;
+            case 'reseed':
+                this.initialize(this.lastSeed.pattern, this.lastSeed.density, SeededRandom.randomSeed());
+                break;
+            default:
+                // 'log' - keep ticking
+                break;
+        }
+    }
 
-        // Debug: count alive cells after
-        const aliveAfter = this.cells.filter(c => c.alive).length;
+    describeSettling({ state, period }) {
+        switch (state) {
+            case 'extinct': return 'extinct';
+            case 'still': return 'still life';
+            case 'cycle': return `cycle, period ${period}`;
+            default: return 'running';
+        }
+    }
 
-        if (this.tickCount < 3) {
-            console.log(`Tick ${this.tickCount}: ${aliveBefore} → ${aliveAfter} cells alive`);
-            console.log(`  Neighbor distribution for alive cells:`, neighborStats);
-        } else if (this.tickCount % 10 === 0) {
-            console.log(`Tick ${this.tickCount}: ${aliveBefore} → ${aliveAfter} cells alive`);
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
         }
+        this.listeners.get(type).push(listener);
+    }
 
-        this.tickCount++;
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            this.listeners.set(type, listeners.filter(entry => entry !== listener));
+        }
+    }
+
+    emit(type, detail) {
+        (this.listeners.get(type) || []).forEach(listener => listener(detail));
+    }
+
+    /**
+     * Jump to a tick kept in history. Ticking on from there replaces the
+     * later history. Returns false if the tick is no longer kept.
+     */
+    restoreTick(tickCount) {
+        const state = this.history.getState(tickCount);
+        if (!state) return false;
+
+        this.applyState(state);
+        return true;
+    }
+
+    /**
+     * Resume from saved cell buffers (see persistence.js); the history
+     * starts over from the loaded tick
+     */
+    loadState(state) {
+        this.applyState(state);
+        this.history.clear();
+        this.history.record(this.simulation.getState());
+    }
+
+    applyState(state) {
+        this.simulation.loadState(state);
+        this.cycles.reset();
+        if (this.worker) {
+            // Drop states the worker already sent from the old timeline
+            this.workerEpoch++;
+            this.organismSummaries = null;
+            this.worker.postMessage({ type: 'load', epoch: this.workerEpoch, state });
+        }
+
+        this.timeSinceLastTick = 0;
         this.updateVisuals();
     }
 
-    countLivingNeighbors(tileIndex) {
-        const tile = this.grid.getTile(tileIndex);
-        if (!tile || !tile.neighborIds) {
-            console.warn(`Tile ${tileIndex} has no neighborIds!`);
-            return 0;
+    /**
+     * Stamp a library pattern onto the current generation (see
+     * LifeSimulation.stampPattern). Returns { tiles, dropped, rejected }.
+     */
+    stampPattern(name, tileIndex, rotation = 0, mirror = false) {
+        const result = this.simulation.stampPattern(name, tileIndex, rotation, mirror);
+        this.commitEdit();
+        return result;
+    }
+
+    // Set tiles alive or dead in the current generation (see LifeSimulation.setCells)
+    setCells(tileIndices, alive) {
+        this.simulation.setCells(tileIndices, alive);
+        this.commitEdit();
+    }
+
+    isAlive(tileIndex) {
+        return this.simulation.isAlive(tileIndex);
+    }
+
+    // Keep an edit of the current generation in history and hand it to the worker
+    commitEdit() {
+        const state = this.simulation.getState();
+        this.history.record(state);
+        this.cycles.reset();
+        if (this.worker) {
+            this.workerEpoch++;
+            this.organismSummaries = null;
+            this.worker.postMessage({ type: 'load', epoch: this.workerEpoch, state });
         }
+        this.updateVisuals();
+    }
 
-        // Debug first few calls
-        if (this.tickCount === 0 && tileIndex < 3) {
-            console.log(`Tile ${tileIndex} has ${tile.neighborIds.length} neighbors:`, tile.neighborIds);
+    /**
+     * Replay the next kept tick, or compute a new one at the end of history.
+     * Returns true if the tick came from history.
+     */
+    stepForward() {
+        const tickCount = this.simulation.getTickCount();
+        if (tickCount < this.history.getLastTick()) {
+            return this.restoreTick(tickCount + 1);
         }
+        this.tick();
+        return false;
+    }
 
-        let count = 0;
-        tile.neighborIds.forEach(neighborStringId => {
-            // Convert string ID to array index using our mapping
-            const neighborIndex = this.tileIdToIndex.get(neighborStringId);
-            if (neighborIndex !== undefined && this.cells[neighborIndex] && this.cells[neighborIndex].alive) {
-                count++;
-            }
-        });
+    stepBack() {
+        return this.restoreTick(this.simulation.getTickCount() - 1);
+    }
+
+    /**
+     * Compute the next ticks on the main thread right away, independent of
+     * the tick timer, so callers control the time step (time-lapse
+     * recording). The worker then continues from the result.
+     */
+    advance(ticks = 1) {
+        for (let i = 0; i < ticks; i++) {
+            this.simulation.step();
+            this.history.record(this.simulation.getState());
+            this.emit('tick', { tickCount: this.simulation.getTickCount() });
+            this.detectSettling();
+        }
 
-        return count;
+        if (this.worker) {
+            this.workerEpoch++;
+            this.organismSummaries = null;
+            this.worker.postMessage({ type: 'load', epoch: this.workerEpoch, state: this.simulation.getState() });
+        }
+        this.timeSinceLastTick = 0;
+        this.updateVisuals();
     }
 
-    updateVisuals() {
-        this.cells.forEach((cell, index) => {
-            if (cell.alive) {
-                if (!this.cellMeshes.has(index)) {
-                    this.createCellMesh(index);
-                }
-                this.updateCellMesh(index, cell);
-            } else {
+    updateVisuals(force = false) {
+        const state = this.simulation.getState();
+        if (force || !this.visualKeys || this.visualKeys.length !== state.cellCount) {
+            this.visualKeys = new Int32Array(state.cellCount).fill(-1);
+        }
+
+        const continuous = state.mode === 'continuous';
+        for (let index = 0; index < state.cellCount; index++) {
+            const key = continuous ? this.getLevelKey(state.level[index]) : this.getCellKey(state, index);
+            if (key === this.visualKeys[index]) continue;
+            this.visualKeys[index] = key;
+
+            if (key === 0) {
                 this.removeCellMesh(index);
+                continue;
             }
-        });
+
+            if (!this.cellMeshes.has(index)) {
+                this.createCellMesh(index);
+            }
+
+            if (continuous) {
+                // Quantized level, matching the key
+                const level = (key - 1) / 63;
+                this.updateCellMesh(index, this.getLevelColor(level), this.cellOpacity * Math.sqrt(level));
+            } else if (state.alive[index]) {
+                this.updateCellMesh(index, key - 1, this.cellOpacity);
+            } else {
+                // Dying cells fade out as they pass through the refractory states
+                const decay = state.decay[index];
+                const fade = 1 - decay / (state.stateCount - 1);
+                this.updateCellMesh(index, this.getDecayColor(decay, state.stateCount), this.cellOpacity * fade);
+            }
+        }
+    }
+
+    getCellKey(state, index) {
+        // 0 = no mesh; alive = color + 1; dying = above the 24-bit color range
+        if (state.alive[index]) {
+            const color = state.speciesCount > 1
+                ? this.getSpeciesColor(state.species[index])
+                : this.getCellColor(state.age[index]);
+            return color + 1;
+        }
+        if (state.decay[index]) {
+            return 0x1000000 + state.decay[index];
+        }
+        return 0;
+    }
+
+    getLevelKey(level) {
+        // 0 = no mesh; otherwise level quantized to 64 steps
+        if (level < this.minVisibleLevel) return 0;
+        return 1 + Math.round(Math.min(1, level) * 63);
     }
 
     createCellMesh(tileId) {
@@ -343,14 +492,13 @@ export class GameOfLifeEngine {
         this.cellMeshes.set(tileId, mesh);
     }
 
-    updateCellMesh(tileId, cell) {
+    updateCellMesh(tileId, color, opacity) {
         const mesh = this.cellMeshes.get(tileId);
         if (!mesh) return;
 
-        // Update color based on age
-        const color = this.getCellColor(cell.age);
         mesh.material.color = new THREE.Color(color);
         mesh.material.emissive = new THREE.Color(color);
+        mesh.material.opacity = opacity;
     }
 
     removeCellMesh(tileId) {
@@ -363,6 +511,29 @@ export class GameOfLifeEngine {
         }
     }
 
+    /**
+     * 0xRRGGBB per tile for flat exports (equirectangular maps). 'alive':
+     * the colors drawn on the sphere; 'age': alive cells on a ramp from
+     * young to the oldest current cell. Dead cells get the background.
+     */
+    getTileColors(colorBy = 'alive', background = 0x000000) {
+        const state = this.simulation.getState();
+        const colors = new Uint32Array(state.cellCount).fill(background);
+
+        let maxAge = 1;
+        for (let index = 0; index < state.cellCount; index++) {
+            if (state.alive[index]) maxAge = Math.max(maxAge, state.age[index]);
+        }
+
+        for (let index = 0; index < state.cellCount; index++) {
+            if (!state.alive[index]) continue;
+            colors[index] = colorBy === 'age'
+                ? this.getLevelColor(state.age[index] / maxAge)
+                : this.getCellKey(state, index) - 1;
+        }
+        return colors;
+    }
+
     getCellColor(age) {
         // Age-based coloring
         if (age < 10) return 0x00ff88; // Green (young)
@@ -370,102 +541,302 @@ export class GameOfLifeEngine {
         return 0x8888ff; // Purple (old)
     }
 
+    getSpeciesColor(speciesId) {
+        return SPECIES_COLORS[speciesId % SPECIES_COLORS.length];
+    }
+
+    getLevelColor(level) {
+        // Continuous color ramp: deep blue -> teal -> green -> yellow
+        const stops = [0x1a237e, 0x00897b, 0x00ff88, 0xffee58];
+        const scaled = Math.min(1, Math.max(0, level)) * (stops.length - 1);
+        const i = Math.min(stops.length - 2, Math.floor(scaled));
+        return new THREE.Color(stops[i]).lerp(new THREE.Color(stops[i + 1]), scaled - i).getHex();
+    }
+
+    getDecayColor(decay, stateCount) {
+        // Generations dying states: red fading towards dark as decay advances
+        const t = stateCount > 2 ? (decay - 1) / Math.max(1, stateCount - 3) : 0;
+        return new THREE.Color(0xff3355).lerp(new THREE.Color(0x330a11), t).getHex();
+    }
+
     clearCells() {
         this.cellMeshes.forEach((mesh, tileId) => {
             this.removeCellMesh(tileId);
         });
         this.cellMeshes.clear();
-        this.cells = [];
+        this.visualKeys = null;
     }
 
     setTickSpeed(speed) {
         this.tickSpeed = speed;
+        this.postToWorker({ type: 'setTickSpeed', tickSpeed: speed });
     }
 
     setPaused(paused) {
         this.paused = paused;
+        this.postToWorker({ type: 'setPaused', paused });
+    }
+
+    getTickSpeed() {
+        return this.tickSpeed;
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    setOrganismFrequency(ticks) {
+        this.organismFrequency = ticks;
+        this.postToWorker({ type: 'setOrganismFrequency', ticks });
+    }
+
+    // Organism summaries detected by the worker, or null on the main thread
+    getOrganismSummaries() {
+        return this.worker ? this.organismSummaries : null;
     }
 
     setCellOpacity(opacity) {
         this.cellOpacity = opacity;
-        this.cellMeshes.forEach(mesh => {
-            mesh.material.opacity = opacity;
-        });
+        // Re-apply so dying cells keep their faded opacity
+        this.updateVisuals(true);
+    }
+
+    getCellOpacity() {
+        return this.cellOpacity;
     }
 
-    getCells() {
-        return this.cells;
+    getSimulation() {
+        return this.simulation;
+    }
+
+    getState() {
+        return this.simulation.getState();
+    }
+
+    getAliveCount() {
+        return this.simulation.getAliveCount();
+    }
+
+    getSeed() {
+        return this.simulation.getSeed();
+    }
+
+    getStartState() {
+        return this.simulation.getStartState();
     }
 
     getTickCount() {
-        return this.tickCount;
+        return this.simulation.getTickCount();
+    }
+
+    getHistory() {
+        return this.history;
+    }
+
+    setHistoryLength(length) {
+        this.history.setCapacity(length);
+    }
+
+    // Settling detection
+    setSettleReaction(reaction) {
+        this.settleReaction = reaction;
+    }
+
+    getSettleReaction() {
+        return this.settleReaction;
+    }
+
+    // { state: 'running' | 'extinct' | 'still' | 'cycle', period, tickCount }
+    getSettleStatus() {
+        return this.cycles.getStatus();
+    }
+
+    setMaxCyclePeriod(period) {
+        this.cycles.setMaxPeriod(period);
+    }
+
+    getMaxCyclePeriod() {
+        return this.cycles.getMaxPeriod();
+    }
+
+    // Library pattern placement
+    setPatternPlacement(placement) {
+        this.callSimulation('setPatternPlacement', placement);
+    }
+
+    getPatternPlacement() {
+        return this.simulation.getPatternPlacement();
+    }
+
+    // Rulestring
+    setRulestring(rulestring) {
+        this.callSimulation('setRulestring', rulestring);
+    }
+
+    getRulestring() {
+        return this.simulation.getRulestring();
     }
 
     // Survival rule setters
     setSurvivalMinNeighbors(min) {
-        this.survivalRules.minNeighbors = min;
+        this.callSimulation('setSurvivalMinNeighbors', min);
     }
 
     setSurvivalMaxNeighbors(max) {
-        this.survivalRules.maxNeighbors = max;
+        this.callSimulation('setSurvivalMaxNeighbors', max);
     }
 
     setSurvivalProbabilityEnabled(enabled) {
-        this.survivalRules.probabilityEnabled = enabled;
+        this.callSimulation('setSurvivalProbabilityEnabled', enabled);
     }
 
     setSurvivalProbability(probability) {
-        this.survivalRules.probability = probability;
+        this.callSimulation('setSurvivalProbability', probability);
     }
 
     // Birth rule setters
     setBirthMinNeighbors(min) {
-        this.birthRules.minNeighbors = min;
+        this.callSimulation('setBirthMinNeighbors', min);
     }
 
     setBirthMaxNeighbors(max) {
-        this.birthRules.maxNeighbors = max;
+        this.callSimulation('setBirthMaxNeighbors', max);
     }
 
     setBirthProbabilityEnabled(enabled) {
-        this.birthRules.probabilityEnabled = enabled;
+        this.callSimulation('setBirthProbabilityEnabled', enabled);
     }
 
     setBirthProbability(probability) {
-        this.birthRules.probability = probability;
+        this.callSimulation('setBirthProbability', probability);
+    }
+
+    // Generations rule setters
+    setStateCount(states) {
+        this.callSimulation('setStateCount', states);
+    }
+
+    // Species rule setters
+    setSpeciesCount(count) {
+        this.callSimulation('setSpeciesCount', count);
+    }
+
+    setSpeciesBirthMode(mode) {
+        this.callSimulation('setSpeciesBirthMode', mode);
+    }
+
+    setSpeciesRulestring(speciesId, rulestring) {
+        this.callSimulation('setSpeciesRulestring', speciesId, rulestring);
+    }
+
+    getSpeciesRulestring(speciesId) {
+        return this.simulation.getSpeciesRulestring(speciesId);
+    }
+
+    getSpeciesPopulation() {
+        return this.simulation.getSpeciesPopulation();
+    }
+
+    // Engine mode
+    setMode(mode) {
+        this.callSimulation('setMode', mode);
+        this.updateVisuals(true);
+    }
+
+    getMode() {
+        return this.simulation.getMode();
+    }
+
+    // Continuous rule setters
+    setKernelRadius(radius) {
+        this.callSimulation('setKernelRadius', radius);
+    }
+
+    setGrowthMean(mean) {
+        this.callSimulation('setGrowthMean', mean);
+    }
+
+    setGrowthWidth(width) {
+        this.callSimulation('setGrowthWidth', width);
+    }
+
+    setContinuousDt(dt) {
+        this.callSimulation('setContinuousDt', dt);
+    }
+
+    // Neighborhood rule setters
+    setNeighborhoodRadius(radius) {
+        this.callSimulation('setNeighborhoodRadius', radius);
+    }
+
+    setRingWeights(weights) {
+        this.callSimulation('setRingWeights', weights);
+    }
+
+    setNeighborhoodBirthRange(min, max) {
+        this.callSimulation('setNeighborhoodBirthRange', min, max);
+    }
+
+    setNeighborhoodSurvivalRange(min, max) {
+        this.callSimulation('setNeighborhoodSurvivalRange', min, max);
+    }
+
+    // Pentagon rule setters
+    setPentagonRuleMode(mode) {
+        this.callSimulation('setPentagonRuleMode', mode);
     }
 
     // Death rule setters
     setAgeDeathEnabled(enabled) {
-        this.deathRules.ageDeathEnabled = enabled;
+        this.callSimulation('setAgeDeathEnabled', enabled);
     }
 
     setAgeDeathRate(rate) {
-        this.deathRules.ageDeathRate = rate;
+        this.callSimulation('setAgeDeathRate', rate);
     }
 
     setAgeDeathThreshold(threshold) {
-        this.deathRules.ageDeathThreshold = threshold;
+        this.callSimulation('setAgeDeathThreshold', threshold);
     }
 
     setSuddenDeathEnabled(enabled) {
-        this.deathRules.suddenDeathEnabled = enabled;
+        this.callSimulation('setSuddenDeathEnabled', enabled);
     }
 
     setSuddenDeathProbability(probability) {
-        this.deathRules.suddenDeathProbability = probability;
+        this.callSimulation('setSuddenDeathProbability', probability);
     }
 
     // Rule getters
     getSurvivalRules() {
-        return this.survivalRules;
+        return this.simulation.getSurvivalRules();
     }
 
     getBirthRules() {
-        return this.birthRules;
+        return this.simulation.getBirthRules();
     }
 
     getDeathRules() {
-        return this.deathRules;
+        return this.simulation.getDeathRules();
+    }
+
+    getPentagonRules() {
+        return this.simulation.getPentagonRules();
+    }
+
+    getGenerationsRules() {
+        return this.simulation.getGenerationsRules();
+    }
+
+    getNeighborhoodRules() {
+        return this.simulation.getNeighborhoodRules();
+    }
+
+    getContinuousRules() {
+        return this.simulation.getContinuousRules();
+    }
+
+    getSpeciesRules() {
+        return this.simulation.getSpeciesRules();
     }
 }
@@ -4,6 +4,7 @@
  */
 
 import * as THREE from 'three';
+import { buildAdjacency, getNeighborIndices } from './topology.js';
 
 export class GridManager {
     constructor(sceneManager) {
@@ -15,26 +16,27 @@ export class GridManager {
         this.subdivisions = 8;
         this.hexSize = 1.0;
         this.gridOpacity = 0.3;
+        this.highlightPentagons = false;
+        this.pentagonColor = 0xff3366;
 
         // Initialize
         this.hexasphere = null;
         this.tiles = [];
+        this.adjacency = null; // CSR neighbor table (see topology.js)
         this.gridMesh = null;
+        this.pentagonMesh = null;
 
         this.generateGrid();
     }
 
     generateGrid() {
         // Remove existing grid
-        if (this.gridMesh) {
-            this.scene.remove(this.gridMesh);
-            this.gridMesh.geometry.dispose();
-            this.gridMesh.material.dispose();
-        }
+        this.removeGridLines();
 
         // Create hexasphere
         this.hexasphere = new Hexasphere(this.radius, this.subdivisions, this.hexSize);
         this.tiles = this.hexasphere.tiles;
+        this.adjacency = buildAdjacency(this.tiles);
 
         console.log(`Grid generated: ${this.tiles.length} tiles`);
 
@@ -42,19 +44,34 @@ export class GridManager {
         this.createGridLines();
     }
 
+    removeGridLines() {
+        [this.gridMesh, this.pentagonMesh].forEach(mesh => {
+            if (mesh) {
+                this.scene.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            }
+        });
+        this.gridMesh = null;
+        this.pentagonMesh = null;
+    }
+
     createGridLines() {
         const geometry = new THREE.BufferGeometry();
         const positions = [];
+        const pentagonPositions = [];
 
         // Create line segments for each tile boundary
         this.tiles.forEach(tile => {
             const boundary = tile.boundary;
+            // Pentagons go into their own layer when highlighted
+            const target = this.highlightPentagons && this.isPentagon(tile) ? pentagonPositions : positions;
             for (let i = 0; i < boundary.length; i++) {
                 const p1 = boundary[i];
                 const p2 = boundary[(i + 1) % boundary.length];
 
-                positions.push(p1.x, p1.y, p1.z);
-                positions.push(p2.x, p2.y, p2.z);
+                target.push(p1.x, p1.y, p1.z);
+                target.push(p2.x, p2.y, p2.z);
             }
         });
 
@@ -70,6 +87,40 @@ export class GridManager {
         // Create mesh
         this.gridMesh = new THREE.LineSegments(geometry, material);
         this.scene.add(this.gridMesh);
+
+        if (pentagonPositions.length > 0) {
+            const pentagonGeometry = new THREE.BufferGeometry();
+            pentagonGeometry.setAttribute('position', new THREE.Float32BufferAttribute(pentagonPositions, 3));
+            const pentagonMaterial = new THREE.LineBasicMaterial({
+                color: this.pentagonColor,
+                transparent: true,
+                opacity: Math.min(1.0, this.gridOpacity * 3)
+            });
+            this.pentagonMesh = new THREE.LineSegments(pentagonGeometry, pentagonMaterial);
+            this.scene.add(this.pentagonMesh);
+        }
+    }
+
+    isPentagon(tile) {
+        return tile.neighborIds.length === 5;
+    }
+
+    setHighlightPentagons(enabled) {
+        this.highlightPentagons = enabled;
+        // Rebuild line layers so pentagons move between grid and highlight mesh
+        const color = this.gridMesh ? this.gridMesh.material.color.clone() : null;
+        this.removeGridLines();
+        this.createGridLines();
+        if (color) {
+            this.gridMesh.material.color = color;
+        }
+    }
+
+    setPentagonColor(color) {
+        this.pentagonColor = color;
+        if (this.pentagonMesh) {
+            this.pentagonMesh.material.color = new THREE.Color(color);
+        }
     }
 
     updateRadius(radius) {
@@ -87,6 +138,9 @@ export class GridManager {
         if (this.gridMesh) {
             this.gridMesh.material.opacity = opacity;
         }
+        if (this.pentagonMesh) {
+            this.pentagonMesh.material.opacity = Math.min(1.0, opacity * 3);
+        }
     }
 
     setGridColor(color) {
@@ -99,17 +153,55 @@ export class GridManager {
         return this.tiles[id];
     }
 
+    /**
+     * Index of the tile whose center is closest in direction to a point
+     * (e.g. a raycast hit on the sphere), or -1 if there are no tiles
+     */
+    getTileAt(point) {
+        const length = Math.sqrt(point.x * point.x + point.y * point.y + point.z * point.z) || 1;
+        let best = -1;
+        let bestDot = -Infinity;
+        this.tiles.forEach((tile, index) => {
+            const center = tile.centerPoint;
+            const dot = (center.x * point.x + center.y * point.y + center.z * point.z) / length;
+            if (dot > bestDot) {
+                bestDot = dot;
+                best = index;
+            }
+        });
+        return best;
+    }
+
+    getNeighborIndices(tileId) {
+        if (!this.tiles[tileId]) return [];
+        return Array.from(getNeighborIndices(this.adjacency, tileId));
+    }
+
     getNeighbors(tileId) {
-        const tile = this.tiles[tileId];
-        if (!tile) return [];
-        return tile.neighborIds.map(id => this.tiles[id]);
+        return this.getNeighborIndices(tileId).map(index => this.tiles[index]);
     }
 
     getTiles() {
         return this.tiles;
     }
 
+    getAdjacency() {
+        return this.adjacency;
+    }
+
     getRadius() {
         return this.radius;
     }
+
+    getSubdivisions() {
+        return this.subdivisions;
+    }
+
+    getGridOpacity() {
+        return this.gridOpacity;
+    }
+
+    getHighlightPentagons() {
+        return this.highlightPentagons;
+    }
 }
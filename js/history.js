@@ -0,0 +1,168 @@
+/**
+ * Simulation History
+ * Bounded list of compact per-tick snapshots for stepping back and
+ * scrubbing (no Three.js dependency)
+ */
+
+/**
+ * Compact copy of a LifeSimulation state: alive as a bitset, age and
+ * stability only for living cells, decay/species only when non-zero
+ */
+export function packState(state) {
+    const { tickCount, cellCount, alive, age, stabilityCounter, decay, species } = state;
+
+    const bits = new Uint8Array((cellCount + 7) >> 3);
+    let aliveCount = 0;
+    for (let i = 0; i < cellCount; i++) {
+        if (alive[i]) {
+            bits[i >> 3] |= 1 << (i & 7);
+            aliveCount++;
+        }
+    }
+
+    const ages = new Uint32Array(aliveCount);
+    const stability = new Uint32Array(aliveCount);
+    let k = 0;
+    for (let i = 0; i < cellCount; i++) {
+        if (alive[i]) {
+            ages[k] = age[i];
+            stability[k] = stabilityCounter[i];
+            k++;
+        }
+    }
+
+    return {
+        tickCount,
+        cellCount,
+        alive: bits,
+        ages,
+        stability,
+        // Mostly zero outside Generations / species runs, so often skipped
+        decay: decay.some(value => value !== 0) ? decay.slice() : null,
+        species: species.some(value => value !== 0) ? species.slice() : null,
+        level: state.mode === 'continuous' ? state.level.slice() : null,
+        randomState: state.randomState
+    };
+}
+
+/**
+ * Expand a packState() result back into full state buffers, in the shape
+ * LifeSimulation.loadState() takes
+ */
+export function unpackState(packed) {
+    const n = packed.cellCount;
+    const alive = new Uint8Array(n);
+    const age = new Uint32Array(n);
+    const stabilityCounter = new Uint32Array(n);
+    let k = 0;
+    for (let i = 0; i < n; i++) {
+        if (packed.alive[i >> 3] & (1 << (i & 7))) {
+            alive[i] = 1;
+            age[i] = packed.ages[k];
+            stabilityCounter[i] = packed.stability[k];
+            k++;
+        }
+    }
+
+    return {
+        tickCount: packed.tickCount,
+        alive,
+        age,
+        stabilityCounter,
+        decay: packed.decay ? packed.decay.slice() : new Uint8Array(n),
+        species: packed.species ? packed.species.slice() : new Uint8Array(n),
+        level: packed.level ? packed.level.slice() : null,
+        randomState: packed.randomState
+    };
+}
+
+export class SimulationHistory {
+    constructor(capacity = 500) {
+        this.capacity = capacity;
+        this.snapshots = []; // packState() results, oldest first, consecutive ticks
+    }
+
+    /**
+     * Store a snapshot of a LifeSimulation state. Recording a tick at or
+     * before the newest one (after jumping back) drops the later snapshots.
+     */
+    record(state) {
+        while (this.snapshots.length > 0 && this.getLastTick() >= state.tickCount) {
+            this.snapshots.pop();
+        }
+
+        this.snapshots.push(packState(state));
+
+        if (this.snapshots.length > this.capacity) {
+            this.snapshots.shift();
+        }
+    }
+
+    // Full state buffers for a kept tick, or null if not kept
+    getState(tickCount) {
+        const snapshot = this.getSnapshot(tickCount);
+        return snapshot ? unpackState(snapshot) : null;
+    }
+
+    getSnapshot(tickCount) {
+        if (this.snapshots.length === 0) return null;
+        const snapshot = this.snapshots[tickCount - this.getFirstTick()];
+        return snapshot && snapshot.tickCount === tickCount ? snapshot : null;
+    }
+
+    /**
+     * Keep extra data with a kept tick (e.g. organism tracking after that
+     * tick's detection pass). It goes when the snapshot does. Returns false
+     * if the tick is not kept.
+     */
+    setAttachment(tickCount, key, data) {
+        const snapshot = this.getSnapshot(tickCount);
+        if (!snapshot) return false;
+        if (!snapshot.attachments) snapshot.attachments = {};
+        snapshot.attachments[key] = data;
+        return true;
+    }
+
+    // Newest attachment under key kept before tickCount, as { tickCount, data }, or null
+    findAttachmentBefore(tickCount, key) {
+        const end = Math.min(this.snapshots.length, tickCount - this.getFirstTick());
+        for (let i = end - 1; i >= 0; i--) {
+            const attachments = this.snapshots[i].attachments;
+            if (attachments && key in attachments) {
+                return { tickCount: this.snapshots[i].tickCount, data: attachments[key] };
+            }
+        }
+        return null;
+    }
+
+    hasTick(tickCount) {
+        return this.getSnapshot(tickCount) !== null;
+    }
+
+    getFirstTick() {
+        return this.snapshots.length > 0 ? this.snapshots[0].tickCount : 0;
+    }
+
+    getLastTick() {
+        return this.snapshots.length > 0 ? this.snapshots[this.snapshots.length - 1].tickCount : 0;
+    }
+
+    getLength() {
+        return this.snapshots.length;
+    }
+
+    setCapacity(capacity) {
+        this.capacity = Math.max(1, capacity);
+        if (this.snapshots.length > this.capacity) {
+            this.snapshots.splice(0, this.snapshots.length - this.capacity);
+        }
+    }
+
+    getCapacity() {
+        return this.capacity;
+    }
+
+    clear() {
+        this.snapshots = [];
+    }
+}
@@ -0,0 +1,344 @@
+/**
+ * Organism Inspector
+ * Click an organism (outside edit mode) to select it: the inspector panel
+ * shows its live properties and size history, the sphere shows its outline
+ * and the path of its centroid, and the camera can follow it. Organisms
+ * keep their id between detection passes (see lineage.js), so a selection
+ * lasts for the organism's whole life.
+ */
+
+import * as THREE from 'three';
+import { RollingSeries, TimeSeriesCharts } from './charts.js';
+import { getLatLong } from './equirect.js';
+
+// Pointer travel (px) below which a press and release count as a click
+const CLICK_TOLERANCE = 4;
+
+// Trail points kept; new segments are subdivided every few degrees so the
+// trail hugs the sphere
+const MAX_TRAIL_POINTS = 400;
+const TRAIL_STEP_DEGREES = 2;
+
+const SPARKLINE_PANELS = [
+    { title: 'Size', series: [{ key: 'size', label: '', color: 'alive' }] }
+];
+
+export class OrganismInspector {
+    constructor(sceneManager, gridManager, gameEngine, organismTracker, themeManager, cellEditor) {
+        this.sceneManager = sceneManager;
+        this.scene = sceneManager.getScene();
+        this.grid = gridManager;
+        this.game = gameEngine;
+        this.organisms = organismTracker;
+        this.themes = themeManager;
+        this.editor = cellEditor;
+
+        // Settings
+        this.follow = false;
+        this.outlineColor = 0xffff66;
+        this.followRate = 2.0; // how fast the camera catches up (1/s)
+
+        // Selection state
+        this.selectedId = null;
+        this.lastOrganisms = null; // organism list last read, to spot new passes
+        this.history = new RollingSeries(500);
+        this.trail = []; // centroid unit vectors
+        this.pressPosition = null;
+
+        this.outlineMesh = null;
+        this.trailLine = null;
+
+        this.elements = {
+            panel: document.getElementById('inspector-panel'),
+            id: document.getElementById('inspect-id'),
+            status: document.getElementById('inspect-status'),
+            size: document.getElementById('inspect-size'),
+            age: document.getElementById('inspect-age'),
+            motion: document.getElementById('inspect-motion'),
+            drift: document.getElementById('inspect-drift'),
+            stability: document.getElementById('inspect-stability'),
+            partner: document.getElementById('inspect-partner'),
+            position: document.getElementById('inspect-position'),
+            lineage: document.getElementById('inspect-lineage'),
+            follow: document.getElementById('inspect-follow'),
+            close: document.getElementById('inspect-close'),
+            sparkline: document.getElementById('inspect-sparkline')
+        };
+        this.sparkline = this.elements.sparkline ? new TimeSeriesCharts(this.elements.sparkline, SPARKLINE_PANELS) : null;
+        this.sparklineTheme = null;
+
+        this.initEvents();
+    }
+
+    initEvents() {
+        const element = this.sceneManager.getDomElement();
+
+        element.addEventListener('pointerdown', event => {
+            this.pressPosition = event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+        });
+        element.addEventListener('pointerup', event => {
+            const press = this.pressPosition;
+            this.pressPosition = null;
+            // Clicks only: drags orbit the camera, and edit mode owns the pointer
+            if (!press || this.editor.isEnabled()) return;
+            if (Math.hypot(event.clientX - press.x, event.clientY - press.y) > CLICK_TOLERANCE) return;
+            this.selectAt(event.clientX, event.clientY);
+        });
+
+        window.addEventListener('keydown', event => {
+            if (event.key === 'Escape') this.select(null);
+        });
+
+        if (this.elements.close) {
+            this.elements.close.addEventListener('click', () => this.select(null));
+        }
+        if (this.elements.follow) {
+            this.elements.follow.addEventListener('change', () => this.setFollow(this.elements.follow.checked));
+        }
+    }
+
+    selectAt(clientX, clientY) {
+        const point = this.sceneManager.raycastSphere(clientX, clientY, this.grid.getRadius());
+        const tile = point ? this.grid.getTileAt(point) : -1;
+        const organism = tile >= 0 ? this.organisms.getOrganismAt(tile) : null;
+        this.select(organism ? organism.id : null);
+    }
+
+    /**
+     * Select an organism by id (null clears the selection)
+     */
+    select(id) {
+        this.selectedId = id;
+        this.history.clear();
+        this.trail = [];
+        this.lastOrganisms = null;
+        this.removeOutline();
+        this.removeTrail();
+
+        if (this.elements.panel) {
+            this.elements.panel.classList.toggle('hidden', id === null);
+        }
+        if (id !== null) {
+            this.update(0);
+        }
+    }
+
+    update(deltaTime) {
+        if (this.selectedId === null) return;
+
+        // Sample once per detection pass
+        const organisms = this.organisms.getOrganisms();
+        if (organisms !== this.lastOrganisms) {
+            this.lastOrganisms = organisms;
+            const organism = this.organisms.getOrganism(this.selectedId);
+            if (organism) {
+                this.record(organism);
+                this.updateOutline(organism);
+                this.updateTrail();
+            } else {
+                this.removeOutline();
+            }
+            this.updatePanel(organism);
+            this.drawSparkline(true);
+        } else {
+            this.drawSparkline(false);
+        }
+
+        if (this.follow) {
+            this.followSelection(deltaTime);
+        }
+    }
+
+    record(organism) {
+        const tickCount = this.game.getTickCount();
+        this.history.push({ tickCount, size: organism.size });
+
+        const direction = organism.centerPosition.clone().normalize();
+        const last = this.trail[this.trail.length - 1];
+        if (!last) {
+            this.trail.push(direction);
+            return;
+        }
+
+        // Follow the great circle from the last point
+        const angle = last.angleTo(direction);
+        const steps = Math.max(1, Math.ceil(THREE.MathUtils.radToDeg(angle) / TRAIL_STEP_DEGREES));
+        const axis = new THREE.Vector3().crossVectors(last, direction);
+        if (axis.lengthSq() < 1e-12) return; // not moved, or exactly opposite
+        axis.normalize();
+        for (let step = 1; step <= steps; step++) {
+            this.trail.push(last.clone().applyAxisAngle(axis, (angle * step) / steps));
+        }
+        this.trail.splice(0, Math.max(0, this.trail.length - MAX_TRAIL_POINTS));
+    }
+
+    updatePanel(organism) {
+        const el = this.elements;
+        if (!el.panel) return;
+
+        const record = this.organisms.getLineage().getRecord(this.selectedId);
+        el.id.textContent = `#${this.selectedId}`;
+
+        if (!organism) {
+            // Gone: say how, and keep the last values. After a jump back
+            // before its birth the lineage has no record of it yet
+            if (!record || record.end === null) {
+                el.status.textContent = 'Not alive at this tick';
+            } else {
+                const end = record.end === 'merge'
+                    ? `merged at tick ${record.diedTick} into #${record.children[record.children.length - 1]}`
+                    : `died at tick ${record.diedTick}`;
+                el.status.textContent = `Ended (${end})`;
+            }
+            el.partner.textContent = '-';
+            return;
+        }
+
+        el.status.textContent = 'Alive';
+        el.size.textContent = `${organism.size} cells`;
+        el.age.textContent = `${organism.age} ticks`;
+        el.motion.textContent = this.describeMotion(organism);
+        el.drift.textContent = organism.velocity > 0
+            ? `${organism.velocity.toFixed(2)}/tick, heading ${Math.round(organism.heading)}°`
+            : 'none';
+
+        // Shortest unbroken streak among its cells
+        const stability = this.game.getState().stabilityCounter;
+        let streak = Infinity;
+        organism.cells.forEach(tile => {
+            streak = Math.min(streak, stability[tile]);
+        });
+        el.stability.textContent = `${organism.isStable ? 'Stable' : 'Young'}, cells steady ${streak} ticks`;
+
+        el.partner.textContent = organism.pairedWith !== null ? `#${organism.pairedWith}` : 'none';
+
+        const { lat, lon } = getLatLong(organism.centerPosition);
+        el.position.textContent = `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? 'E' : 'W'}`;
+
+        if (record) {
+            const origin = record.cause === 'birth' ? 'born' : `${record.cause === 'split' ? 'split from' : 'merged from'} #${record.parents.join(', #')}`;
+            el.lineage.textContent = `${origin} at tick ${record.bornTick}`;
+        }
+    }
+
+    describeMotion(organism) {
+        switch (organism.motion) {
+            case 'still': return 'Still life';
+            case 'oscillator': return `Oscillator (period ${organism.period})`;
+            case 'mover': return 'Mover';
+            case 'irregular': return 'Irregular';
+            default: return 'Unknown (watching)';
+        }
+    }
+
+    drawSparkline(changed) {
+        if (!this.sparkline) return;
+
+        const theme = this.themes.getCurrentTheme();
+        if (theme !== this.sparklineTheme) {
+            this.sparklineTheme = theme;
+            this.sparkline.setColors(theme.chartColors);
+            changed = true;
+        }
+        if (changed) {
+            this.sparkline.draw(this.history.getSamples(), this.history.getWindowSize());
+        }
+    }
+
+    updateOutline(organism) {
+        this.removeOutline();
+
+        // Only the edges on the organism's border: interior edges are shared
+        // by two of its tiles
+        const key = p => `${(+p.x).toFixed(3)},${(+p.y).toFixed(3)},${(+p.z).toFixed(3)}`;
+        const edges = new Map();
+        organism.cells.forEach(index => {
+            const boundary = this.grid.getTile(index).boundary;
+            for (let i = 0; i < boundary.length; i++) {
+                const p1 = boundary[i];
+                const p2 = boundary[(i + 1) % boundary.length];
+                const k1 = key(p1);
+                const k2 = key(p2);
+                const edgeKey = k1 < k2 ? `${k1}|${k2}` : `${k2}|${k1}`;
+                if (edges.has(edgeKey)) {
+                    edges.delete(edgeKey);
+                } else {
+                    edges.set(edgeKey, [p1, p2]);
+                }
+            }
+        });
+
+        const positions = [];
+        const lift = 1.006;
+        edges.forEach(([p1, p2]) => {
+            positions.push(p1.x * lift, p1.y * lift, p1.z * lift);
+            positions.push(p2.x * lift, p2.y * lift, p2.z * lift);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const material = new THREE.LineBasicMaterial({ color: this.outlineColor });
+        this.outlineMesh = new THREE.LineSegments(geometry, material);
+        this.scene.add(this.outlineMesh);
+    }
+
+    removeOutline() {
+        if (this.outlineMesh) {
+            this.scene.remove(this.outlineMesh);
+            this.outlineMesh.geometry.dispose();
+            this.outlineMesh.material.dispose();
+            this.outlineMesh = null;
+        }
+    }
+
+    updateTrail() {
+        this.removeTrail();
+        if (this.trail.length < 2) return;
+
+        const radius = this.grid.getRadius() * 1.01;
+        const points = this.trail.map(direction => direction.clone().multiplyScalar(radius));
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const material = new THREE.LineBasicMaterial({ color: this.outlineColor, transparent: true, opacity: 0.7 });
+        this.trailLine = new THREE.Line(geometry, material);
+        this.scene.add(this.trailLine);
+    }
+
+    removeTrail() {
+        if (this.trailLine) {
+            this.scene.remove(this.trailLine);
+            this.trailLine.geometry.dispose();
+            this.trailLine.material.dispose();
+            this.trailLine = null;
+        }
+    }
+
+    followSelection(deltaTime) {
+        const target = this.trail[this.trail.length - 1];
+        if (!target) return;
+
+        // Swing the camera over the organism at the current distance
+        const camera = this.sceneManager.getCamera();
+        const desired = target.clone().multiplyScalar(camera.position.length());
+        camera.position.lerp(desired, 1 - Math.exp(-this.followRate * deltaTime));
+    }
+
+    setFollow(follow) {
+        this.follow = follow;
+        if (this.elements.follow) {
+            this.elements.follow.checked = follow;
+        }
+    }
+
+    getFollow() {
+        return this.follow;
+    }
+
+    getSelectedId() {
+        return this.selectedId;
+    }
+
+    dispose() {
+        this.removeOutline();
+        this.removeTrail();
+    }
+}
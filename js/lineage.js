@@ -0,0 +1,274 @@
+/**
+ * Organism Lineage
+ * Matches organisms between detection passes by cell overlap, so each one
+ * keeps a stable id and a true age, and records births, splits, merges and
+ * deaths as a queryable parent/child graph (no Three.js dependency)
+ */
+
+function copyRecords(records) {
+    const copy = new Map();
+    records.forEach((record, id) => {
+        copy.set(id, record.end ? record : { ...record, parents: record.parents.slice(), children: record.children.slice() });
+    });
+    return copy;
+}
+
+export class LineageTracker {
+    constructor(maxRecords = 10000) {
+        // Dead organisms beyond this many records are forgotten, oldest first
+        this.maxRecords = maxRecords;
+        this.reset();
+    }
+
+    reset() {
+        this.nextId = 0;
+        this.lastTick = -1;
+        // Organism id -> record (see createRecord())
+        this.records = new Map();
+        // { type: 'birth' | 'split' | 'merge' | 'death', tickCount, parents, children }
+        this.events = [];
+        // Living organisms of the last pass: ids in component order, the
+        // owner id of every tile and of the tiles right around them (-1 = none)
+        this.living = [];
+        this.owners = null;
+        this.nearOwners = null;
+    }
+
+    createRecord(tickCount, bornTick, cause, parents) {
+        const record = {
+            id: this.nextId++,
+            bornTick,
+            diedTick: null,
+            cause, // 'birth', 'split' or 'merge'
+            end: null, // 'death' or 'merge' once gone
+            parents,
+            children: [],
+            size: 0,
+            species: 0,
+            lastSeenTick: tickCount
+        };
+        this.records.set(record.id, record);
+        parents.forEach(parentId => this.records.get(parentId)?.children.push(record.id));
+        return record;
+    }
+
+    /**
+     * Match one detection pass (detectComponents() output) to the previous
+     * one. Returns the ids and true ages ({ id, age }) in component order.
+     * With the adjacency, a component that shares no cell with the last pass
+     * matches the organisms it touches (oscillators whose phases do not
+     * overlap). A pass at an earlier tick than the last one (new run,
+     * history jump) starts the lineage over.
+     */
+    update(tickCount, components, cellCount, adjacency = null) {
+        if (tickCount < this.lastTick || (this.owners && this.owners.length !== cellCount)) {
+            this.reset();
+        }
+        if (!this.owners) {
+            this.owners = new Int32Array(cellCount).fill(-1);
+            this.nearOwners = new Int32Array(cellCount).fill(-1);
+        }
+
+        // Overlap of every new component with the organisms of the last pass
+        const countOverlap = (component, owners) => {
+            const counts = new Map();
+            component.cells.forEach(tile => {
+                const owner = owners[tile];
+                if (owner >= 0) counts.set(owner, (counts.get(owner) || 0) + 1);
+            });
+            return counts;
+        };
+        const overlaps = components.map(component => {
+            const counts = countOverlap(component, this.owners);
+            return counts.size > 0 || !adjacency ? counts : countOverlap(component, this.nearOwners);
+        });
+
+        // Largest overlaps first: each old organism continues as at most one
+        // new component and each component continues at most one organism
+        const edges = [];
+        overlaps.forEach((counts, index) => {
+            counts.forEach((overlap, id) => edges.push({ id, index, overlap }));
+        });
+        edges.sort((a, b) => b.overlap - a.overlap || a.id - b.id || a.index - b.index);
+
+        const ids = new Array(components.length).fill(-1);
+        const continued = new Set();
+        edges.forEach(({ id, index }) => {
+            if (ids[index] >= 0 || continued.has(id)) return;
+            ids[index] = id;
+            continued.add(id);
+        });
+
+        // Components left over are born: from nothing, or split off the
+        // organisms they overlap
+        const splitOff = new Set();
+        components.forEach((component, index) => {
+            if (ids[index] >= 0) return;
+            const parents = Array.from(overlaps[index].keys()).sort((a, b) => a - b);
+            const record = parents.length > 0
+                ? this.createRecord(tickCount, tickCount, 'split', parents)
+                : this.createRecord(tickCount, tickCount - component.age, 'birth', []);
+            ids[index] = record.id;
+            if (parents.length > 0) {
+                splitOff.add(record.id);
+            } else {
+                this.events.push({ type: 'birth', tickCount, parents: [], children: [record.id] });
+            }
+        });
+
+        // Splits: an old organism overlapping components born this pass
+        const childrenOf = new Map();
+        overlaps.forEach((counts, index) => {
+            counts.forEach((overlap, id) => {
+                if (!childrenOf.has(id)) childrenOf.set(id, []);
+                childrenOf.get(id).push(ids[index]);
+            });
+        });
+        childrenOf.forEach((children, id) => {
+            const born = children.filter(child => splitOff.has(child)).sort((a, b) => a - b);
+            if (born.length > 0) {
+                this.events.push({ type: 'split', tickCount, parents: [id], children: born });
+            }
+        });
+
+        // Merges: a component overlapping old organisms that continued
+        // nowhere else. Those end here and become its parents.
+        overlaps.forEach((counts, index) => {
+            const child = ids[index];
+            const merged = Array.from(counts.keys())
+                .filter(id => id !== child && !continued.has(id))
+                .sort((a, b) => a - b);
+            if (merged.length === 0) return;
+
+            const record = this.records.get(child);
+            merged.forEach(id => {
+                this.endRecord(id, tickCount, 'merge');
+                if (!record.parents.includes(id)) record.parents.push(id);
+                const parent = this.records.get(id);
+                if (parent && !parent.children.includes(child)) parent.children.push(child);
+            });
+            this.events.push({ type: 'merge', tickCount, parents: merged, children: [child] });
+        });
+
+        // Deaths: old organisms that overlap nothing
+        this.living.forEach(id => {
+            if (!childrenOf.has(id)) {
+                this.endRecord(id, tickCount, 'death');
+                this.events.push({ type: 'death', tickCount, parents: [id], children: [] });
+            }
+        });
+
+        // Remember this pass
+        this.owners.fill(-1);
+        this.nearOwners.fill(-1);
+        components.forEach((component, index) => {
+            const record = this.records.get(ids[index]);
+            record.size = component.size;
+            record.species = component.species;
+            record.lastSeenTick = tickCount;
+            component.cells.forEach(tile => {
+                this.owners[tile] = record.id;
+                if (!adjacency) return;
+                for (let j = adjacency.offsets[tile]; j < adjacency.offsets[tile + 1]; j++) {
+                    const neighbor = adjacency.indices[j];
+                    if (this.nearOwners[neighbor] < 0) this.nearOwners[neighbor] = record.id;
+                }
+            });
+        });
+        this.living = ids;
+        this.lastTick = tickCount;
+        this.prune();
+
+        return ids.map(id => ({ id, age: tickCount - this.records.get(id).bornTick }));
+    }
+
+    endRecord(id, tickCount, end) {
+        const record = this.records.get(id);
+        if (!record || record.end) return;
+        record.diedTick = tickCount;
+        record.end = end;
+    }
+
+    prune() {
+        if (this.records.size <= this.maxRecords) return;
+        // Map order is creation order, so the oldest dead records go first
+        for (const [id, record] of this.records) {
+            if (this.records.size <= this.maxRecords) break;
+            if (record.end) this.records.delete(id);
+        }
+        this.events.splice(0, Math.max(0, this.events.length - this.maxRecords));
+    }
+
+    /**
+     * Copy of the tracking state to come back to with restore() (e.g. when
+     * jumping back through history). Ended records never change again, so
+     * they are shared rather than copied.
+     */
+    snapshot() {
+        return {
+            nextId: this.nextId,
+            lastTick: this.lastTick,
+            records: copyRecords(this.records),
+            events: this.events.slice(),
+            living: this.living.slice(),
+            owners: this.owners ? this.owners.slice() : null,
+            nearOwners: this.nearOwners ? this.nearOwners.slice() : null
+        };
+    }
+
+    restore(snapshot) {
+        this.nextId = snapshot.nextId;
+        this.lastTick = snapshot.lastTick;
+        // Copy again, so the snapshot can be restored more than once
+        this.records = copyRecords(snapshot.records);
+        this.events = snapshot.events.slice();
+        this.living = snapshot.living.slice();
+        this.owners = snapshot.owners ? snapshot.owners.slice() : null;
+        this.nearOwners = snapshot.nearOwners ? snapshot.nearOwners.slice() : null;
+    }
+
+    getLastTick() {
+        return this.lastTick;
+    }
+
+    getRecord(id) {
+        return this.records.get(id) || null;
+    }
+
+    // Every organism this one descends from, nearest first
+    getAncestors(id) {
+        return this.walk(id, record => record.parents);
+    }
+
+    // Every organism that split or merged off this one, nearest first
+    getDescendants(id) {
+        return this.walk(id, record => record.children);
+    }
+
+    walk(id, next) {
+        const seen = new Set([id]);
+        const queue = [id];
+        const found = [];
+        while (queue.length > 0) {
+            const record = this.records.get(queue.shift());
+            if (!record) continue;
+            next(record).forEach(other => {
+                if (seen.has(other)) return;
+                seen.add(other);
+                found.push(other);
+                queue.push(other);
+            });
+        }
+        return found;
+    }
+
+    // Events involving one organism, or all of them, oldest first
+    getEvents(id = null) {
+        if (id === null) return this.events.slice();
+        return this.events.filter(event => event.parents.includes(id) || event.children.includes(id));
+    }
+
+    getLivingIds() {
+        return this.living.slice();
+    }
+}
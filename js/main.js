@@ -11,10 +11,14 @@ import { GameOfLifeEngine } from './gameoflife.js';
 import { OrganismTracker } from './organisms.js';
 import { ParticleFlowManager } from './particles.js';
 import { UIController } from './ui.js';
+import { CellEditor } from './editor.js';
 import { StatsDisplay } from './stats.js';
+import { TimeLapseRecorder } from './recorder.js';
+import { OrganismInspector } from './inspector.js';
+import { decodeShareHash } from './share.js';
 
 // Global state
-let scene, grid, gameOfLife, organisms, particles, ui, themes, stats;
+let scene, grid, gameOfLife, organisms, particles, ui, themes, stats, editor, recorder, inspector;
 let clock;
 let animationId;
 
@@ -34,9 +38,16 @@ async function init() {
         grid = new GridManager(scene);
         gameOfLife = new GameOfLifeEngine(grid, scene);
         organisms = new OrganismTracker(grid, gameOfLife, scene);
+        gameOfLife.setOrganismFrequency(organisms.getUpdateFrequency());
         particles = new ParticleFlowManager(scene, organisms);
-        stats = new StatsDisplay(gameOfLife);
-        ui = new UIController(scene, grid, gameOfLife, organisms, particles, themes);
+        stats = new StatsDisplay(gameOfLife, organisms, themes);
+        editor = new CellEditor(scene, grid, gameOfLife, organisms);
+        recorder = new TimeLapseRecorder(scene, gameOfLife, organisms, particles);
+        inspector = new OrganismInspector(scene, grid, gameOfLife, organisms, themes, editor);
+        ui = new UIController(scene, grid, gameOfLife, organisms, particles, themes, editor, stats, recorder);
+
+        // Reproduce a shared run if the page was opened from a share link
+        restoreFromHash();
 
         // Hide loading screen
         const loadingEl = document.getElementById('loading');
@@ -55,6 +66,21 @@ async function init() {
     }
 }
 
+/**
+ * Apply the share link in the URL hash, if any
+ */
+function restoreFromHash() {
+    try {
+        const shared = decodeShareHash(window.location.hash);
+        if (shared) {
+            ui.applyShareLink(shared);
+        }
+    } catch (error) {
+        console.warn('Share link not applied:', error);
+        alert(`Share link not applied: ${error.message}`);
+    }
+}
+
 /**
  * Main animation loop
  */
@@ -64,6 +90,12 @@ function animate() {
     // Get delta time
     const deltaTime = clock.getDelta();
 
+    // The recorder steps and renders on its own fixed time step
+    if (recorder.isRecording()) {
+        stats.update();
+        return;
+    }
+
     // Update scene controls
     scene.update(deltaTime);
 
@@ -73,12 +105,18 @@ function animate() {
     // Update organisms (runs after game ticks)
     organisms.update(deltaTime);
 
+    // Inspect and follow the selected organism (after detection)
+    inspector.update(deltaTime);
+
     // Update particles (runs every frame)
     particles.update(deltaTime);
 
     // Update stats display
     stats.update();
 
+    // Keep the timeline in step with the simulation
+    ui.update();
+
     // Render
     scene.render();
 }
@@ -87,7 +125,8 @@ function animate() {
  * Handle window resize
  */
 function onWindowResize() {
-    if (scene) {
+    // A recording keeps its own render size until it ends
+    if (scene && !recorder.isRecording()) {
         scene.handleResize();
     }
 }
@@ -99,6 +138,15 @@ function cleanup() {
     if (animationId) {
         cancelAnimationFrame(animationId);
     }
+    if (recorder) {
+        recorder.stop();
+    }
+    if (editor) {
+        editor.dispose();
+    }
+    if (inspector) {
+        inspector.dispose();
+    }
     if (scene) {
         scene.dispose();
     }
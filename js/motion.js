@@ -0,0 +1,216 @@
+/**
+ * Organism Motion
+ * Classifies tracked organisms (see lineage.js) as still lifes, oscillators
+ * with their period, movers or irregular, and measures their drift over the
+ * sphere (no Three.js dependency)
+ */
+
+import { getTilesAround } from './topology.js';
+import { hashAlive } from './cycles.js';
+import { angularDistance } from './components.js';
+
+function normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
+
+function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+/**
+ * Compass heading in degrees (0 = north towards +y, 90 = east) of the great
+ * circle from a to b, as seen at a
+ */
+export function greatCircleHeading(a, b) {
+    const from = normalize(a);
+    const to = normalize(b);
+    const east = cross({ x: 0, y: 1, z: 0 }, from);
+    if (Math.hypot(east.x, east.y, east.z) < 1e-9) return 0; // at a pole
+    const eastUnit = normalize(east);
+    const north = cross(from, eastUnit);
+    // Direction of travel: the part of b tangent to the sphere at a
+    const along = dot(to, from);
+    const tangent = { x: to.x - from.x * along, y: to.y - from.y * along, z: to.z - from.z * along };
+    const heading = Math.atan2(dot(tangent, eastUnit), dot(tangent, north)) * (180 / Math.PI);
+    return (heading + 360) % 360;
+}
+
+function copyEntries(entries) {
+    const copy = new Map();
+    entries.forEach((entry, id) => {
+        copy.set(id, { ...entry, signatures: entry.signatures.slice(), trail: entry.trail.slice() });
+    });
+    return copy;
+}
+
+export class MotionClassifier {
+    constructor(maxPeriod = 30) {
+        // Longest oscillator period looked for
+        this.maxPeriod = maxPeriod;
+        // Rings of tiles around an organism watched for its oscillation
+        this.regionMargin = 2;
+        // Detection passes of centroids kept for the drift
+        this.trailLength = 6;
+
+        this.radius = 1;
+        this.tileAngle = 1; // degrees between neighboring tile centers
+        this.adjacency = null;
+        this.reset();
+    }
+
+    reset() {
+        // Organism id -> { region, signatures, period, trail }
+        this.entries = new Map();
+        this.lastTick = -1;
+    }
+
+    setTopology(tiles, adjacency) {
+        this.adjacency = adjacency;
+        this.reset();
+        if (tiles.length === 0) return;
+
+        // Sphere radius and typical tile spacing, for velocities and the mover threshold
+        const centers = tiles.map(tile => ({ x: +tile.centerPoint.x, y: +tile.centerPoint.y, z: +tile.centerPoint.z }));
+        this.radius = Math.hypot(centers[0].x, centers[0].y, centers[0].z);
+        const first = adjacency.indices[adjacency.offsets[0]];
+        this.tileAngle = angularDistance(centers[0], centers[first]);
+    }
+
+    /**
+     * Record one generation (call every tick): the alive cells in each
+     * organism's region, for finding its period
+     */
+    observe(state) {
+        // A gap in ticks (history jump) invalidates every sequence
+        if (state.tickCount !== this.lastTick + 1) {
+            this.entries.forEach(entry => {
+                entry.signatures = [];
+            });
+        }
+        this.lastTick = state.tickCount;
+
+        this.entries.forEach(entry => {
+            const cells = new Uint8Array(entry.region.length);
+            entry.region.forEach((tile, i) => {
+                cells[i] = state.alive[tile];
+            });
+            const hash = hashAlive(cells);
+
+            // Shortest period first; compare cells to rule out hash collisions
+            entry.period = 0;
+            for (let i = entry.signatures.length - 1; i >= 0; i--) {
+                const signature = entry.signatures[i];
+                if (signature.hash === hash && signature.cells.every((value, j) => value === cells[j])) {
+                    entry.period = state.tickCount - signature.tickCount;
+                    break;
+                }
+            }
+
+            entry.signatures.push({ tickCount: state.tickCount, hash, cells });
+            if (entry.signatures.length > this.maxPeriod) {
+                entry.signatures.shift();
+            }
+        });
+    }
+
+    /**
+     * Classify one detection pass: organisms as { id, cells, center } plus
+     * the state. Returns { motion, period, velocity, heading } in organism
+     * order. motion is 'still', 'oscillator', 'mover', 'irregular' or
+     * 'unknown' (not watched long enough); velocity is distance along the
+     * surface per tick, heading the compass direction of the drift.
+     */
+    update(tickCount, organisms, state) {
+        const seen = new Set();
+        const results = organisms.map(organism => {
+            seen.add(organism.id);
+            let entry = this.entries.get(organism.id);
+            if (!entry) {
+                entry = { region: [], regionSet: new Set(), signatures: [], period: 0, trail: [] };
+                this.entries.set(organism.id, entry);
+            }
+
+            // Watch a new region once the organism leaves the old one
+            const inside = Array.prototype.every.call(organism.cells, tile => entry.regionSet.has(tile));
+            if (!inside) {
+                entry.region = getTilesAround(this.adjacency, organism.cells, this.regionMargin);
+                entry.regionSet = new Set(entry.region);
+                entry.signatures = [];
+                entry.period = 0;
+            }
+
+            entry.trail.push({ tickCount, center: organism.center, size: organism.cells.length });
+            if (entry.trail.length > this.trailLength) {
+                entry.trail.shift();
+            }
+
+            return this.classify(entry, organism, state);
+        });
+
+        this.entries.forEach((entry, id) => {
+            if (!seen.has(id)) this.entries.delete(id);
+        });
+        return results;
+    }
+
+    classify(entry, organism, state) {
+        const oldest = entry.trail[0];
+        const newest = entry.trail[entry.trail.length - 1];
+        const ticks = newest.tickCount - oldest.tickCount;
+        const angle = ticks > 0 ? angularDistance(oldest.center, newest.center) : 0;
+        const velocity = ticks > 0 ? (angle * (Math.PI / 180) * this.radius) / ticks : 0;
+        const heading = angle > 0 ? greatCircleHeading(oldest.center, newest.center) : 0;
+        // Glider phases differ in size a lot; growth past that is not a mover
+        const sizes = entry.trail.map(point => point.size);
+        const steadySize = Math.max(...sizes) <= Math.min(...sizes) * 3;
+
+        // Ticks every cell of the organism has been alive without a break
+        let stableTicks = Infinity;
+        organism.cells.forEach(tile => {
+            stableTicks = Math.min(stableTicks, state.stabilityCounter[tile]);
+        });
+
+        let motion = 'unknown';
+        if (entry.period === 1 || stableTicks >= this.maxPeriod) {
+            // Unchanged for longer than any period looked for counts as still
+            // even before the region has been watched that long
+            motion = 'still';
+        } else if (entry.period > 1) {
+            motion = 'oscillator';
+        } else if (ticks > 0 && angle >= this.tileAngle / 2 && steadySize) {
+            // Not repeating in place, about the same size, and drifted at least half a tile
+            motion = 'mover';
+        } else if (entry.signatures.length >= this.maxPeriod) {
+            motion = 'irregular';
+        }
+
+        return { motion, period: motion === 'still' ? 1 : entry.period, velocity, heading };
+    }
+
+    /**
+     * Copy of the watched regions, signatures and trails to come back to
+     * with restore(). Regions, signatures and trail points are replaced,
+     * never changed, so the copies share them.
+     */
+    snapshot() {
+        return { entries: copyEntries(this.entries), lastTick: this.lastTick };
+    }
+
+    restore(snapshot) {
+        this.entries = copyEntries(snapshot.entries);
+        this.lastTick = snapshot.lastTick;
+    }
+
+    setMaxPeriod(maxPeriod) {
+        this.maxPeriod = Math.max(1, maxPeriod);
+    }
+
+    getMaxPeriod() {
+        return this.maxPeriod;
+    }
+}
@@ -1,9 +1,16 @@
 /**
  * Organism Tracker
- * Detects, tracks, and pairs living organisms
+ * Detects, tracks, and pairs living organisms. Organisms keep their id,
+ * color and age from pass to pass (see lineage.js).
  */
 
 import * as THREE from 'three';
+import { detectComponents, findOppositePairs } from './components.js';
+import { LineageTracker } from './lineage.js';
+import { MotionClassifier } from './motion.js';
+
+// History attachment holding the tracking after a detection pass
+const TRACKING_KEY = 'organisms';
 
 export class OrganismTracker {
     constructor(gridManager, gameEngine, sceneManager) {
@@ -16,158 +23,189 @@ export class OrganismTracker {
         this.minSize = 10;
         this.targetAngle = 180; // Target angular distance in degrees
         this.angularTolerance = 15; // Tolerance around target angle (forms a belt)
+        this.pairMotion = 'any'; // pair only 'still', 'oscillator' or 'mover' organisms
+        this.pairPolicy = 'nearest'; // one partner each: 'nearest', 'largest' or 'stable' (see pairing.js)
         this.updateFrequency = 5; // Update every N ticks
 
         // State
         this.organisms = [];
         this.pairs = [];
+        this.pairIds = []; // [idA, idB] of the last pass, for the stable policy
         this.lastUpdateTick = 0;
+        this.passTick = 0;
+
+        // Stable ids, true ages and the split/merge graph
+        this.lineage = new LineageTracker();
+
+        // Still life / oscillator / mover classification, fed every tick
+        this.motion = new MotionClassifier();
+        this.motionAdjacency = null;
+        this.game.on('tick', () => this.motion.observe(this.game.getState()));
     }
 
     update(deltaTime) {
+        // Worker mode: organisms are detected off the main thread
+        const workerOrganisms = this.game.getOrganismSummaries();
+        if (workerOrganisms) {
+            if (workerOrganisms.tickCount !== this.lastUpdateTick) {
+                this.buildOrganisms(workerOrganisms.components, workerOrganisms.tickCount);
+                this.findPairs();
+                this.lastUpdateTick = workerOrganisms.tickCount;
+            }
+            return;
+        }
+
         // Only update every N ticks to save performance
         const currentTick = this.game.getTickCount();
-        if (currentTick - this.lastUpdateTick >= this.updateFrequency) {
+        if (currentTick - this.lastUpdateTick >= this.updateFrequency || currentTick < this.lastUpdateTick) {
             this.detectOrganisms();
             this.findPairs();
             this.lastUpdateTick = currentTick;
         }
     }
 
-    detectOrganisms() {
-        const cells = this.game.getCells();
-        const visited = new Set();
-        this.organisms = [];
-
-        cells.forEach((cell, index) => {
-            if (cell.alive && !visited.has(index)) {
-                const organism = this.floodFill(index, visited);
-                if (organism.cells.length > 0) {
-                    this.organisms.push(organism);
-                }
-            }
-        });
-
-        console.log(`Detected ${this.organisms.length} organisms`);
+    // Re-detect organisms and pairs for the current tick right away
+    // (e.g. after jumping through history)
+    refresh() {
+        this.detectOrganisms();
+        this.findPairs();
+        this.lastUpdateTick = this.game.getTickCount();
     }
 
-    floodFill(startId, visited) {
-        const cells = this.game.getCells();
-        const stack = [startId];
-        const organismCells = [];
-        let minAge = Infinity;
+    detectOrganisms() {
+        const components = detectComponents(this.game.getState(), this.grid.getAdjacency(), this.grid.getTiles());
+        this.buildOrganisms(components, this.game.getTickCount());
+    }
 
-        while (stack.length > 0) {
-            const tileId = stack.pop();
+    buildOrganisms(components, tickCount) {
+        const state = this.game.getState();
+        const adjacency = this.grid.getAdjacency();
+        if (adjacency !== this.motionAdjacency) {
+            this.motion.setTopology(this.grid.getTiles(), adjacency);
+            this.motionAdjacency = adjacency;
+        }
 
-            if (visited.has(tileId)) continue;
-            visited.add(tileId);
+        this.rewindTo(tickCount);
+        this.passTick = tickCount;
+        const identities = this.lineage.update(tickCount, components, state.cellCount, adjacency);
+        const motions = this.motion.update(
+            tickCount,
+            components.map((component, index) => ({ id: identities[index].id, cells: component.cells, center: component.center })),
+            state
+        );
 
-            const cell = cells[tileId];
-            if (!cell.alive) continue;
+        this.organisms = components.map((component, index) => {
+            const { id, age } = identities[index];
+            const { motion, period, velocity, heading } = motions[index];
+            return {
+                id,
+                cells: component.cells,
+                size: component.size,
+                age,
+                species: component.species,
+                centerPosition: new THREE.Vector3(component.center.x, component.center.y, component.center.z),
+                isStable: age >= this.minAge,
+                motion, // 'still', 'oscillator', 'mover', 'irregular' or 'unknown'
+                period, // oscillator period (1 for still lifes, 0 if none found)
+                velocity, // great-circle distance per tick
+                heading, // compass degrees, 0 = north
+                pairedWith: null,
+                color: this.generateColor(id)
+            };
+        });
 
-            organismCells.push(tileId);
-            minAge = Math.min(minAge, cell.age);
+        const counts = { still: 0, oscillator: 0, mover: 0 };
+        this.organisms.forEach(org => {
+            if (org.motion in counts) counts[org.motion]++;
+        });
+        console.log(`Detected ${this.organisms.length} organisms (${counts.still} still, ${counts.oscillator} oscillating, ${counts.mover} moving)`);
+    }
 
-            // Add neighbors to stack using tile neighborIds directly
-            const tile = this.grid.getTile(tileId);
-            if (tile && tile.neighborIds) {
-                tile.neighborIds.forEach(neighborStringId => {
-                    // Convert string ID to array index using game engine's mapping
-                    const neighborIndex = this.game.tileIdToIndex?.get(neighborStringId);
-                    if (neighborIndex !== undefined && !visited.has(neighborIndex)) {
-                        stack.push(neighborIndex);
-                    }
-                });
+    /**
+     * Put the tracking back to the last detection pass kept in history
+     * before tickCount, unless it is there already. After a step back or a
+     * timeline jump, and while replaying kept ticks, organisms so get the
+     * ids, ages, classes and pairs of the first time through.
+     */
+    rewindTo(tickCount) {
+        const history = this.game.getHistory();
+        const saved = history.findAttachmentBefore(tickCount, TRACKING_KEY);
+        if (!saved) {
+            // Nothing to go back to (new run, or before the kept history)
+            if (tickCount < this.lineage.getLastTick()) {
+                this.lineage.reset();
+                this.motion.reset();
+                this.pairIds = [];
             }
+            return;
         }
+        if (saved.tickCount === this.lineage.getLastTick()) return;
 
-        // Calculate center position
-        const center = this.calculateCenter(organismCells);
-
-        // Generate unique color
-        const color = this.generateColor(this.organisms.length);
+        this.lineage.restore(saved.data.lineage);
+        this.motion.restore(saved.data.motion);
+        this.pairIds = saved.data.pairs.map(pair => pair.slice());
 
-        return {
-            id: this.organisms.length,
-            cells: organismCells,
-            size: organismCells.length,
-            age: minAge,
-            centerPosition: center,
-            isStable: minAge >= this.minAge,
-            pairedWith: null,
-            color: color
-        };
+        // Watch the generations in between again, for the oscillation periods
+        for (let tick = saved.tickCount + 1; tick <= tickCount; tick++) {
+            const state = history.getState(tick);
+            if (state) this.motion.observe(state);
+        }
     }
 
-    calculateCenter(cellIds) {
-        const tiles = this.grid.getTiles();
-        const sum = new THREE.Vector3();
-
-        cellIds.forEach(id => {
-            const tile = tiles[id];
-            const point = tile.centerPoint;
-            sum.add(new THREE.Vector3(point.x, point.y, point.z));
+    // Keep this pass's tracking with its tick in history for rewindTo().
+    // A pass over a kept tick with later passes leaves the first one in place.
+    saveTracking() {
+        const history = this.game.getHistory();
+        const newest = history.findAttachmentBefore(Infinity, TRACKING_KEY);
+        if (newest && newest.tickCount > this.passTick) return;
+        history.setAttachment(this.passTick, TRACKING_KEY, {
+            lineage: this.lineage.snapshot(),
+            motion: this.motion.snapshot(),
+            pairs: this.pairIds.map(pair => pair.slice())
         });
-
-        sum.divideScalar(cellIds.length);
-        return sum;
     }
 
     findPairs() {
-        // Clear existing pairs
+        // The stable policy keeps last pass's pairs while they stay valid
+        const previousPairs = this.pairIds;
         this.pairs = [];
 
-        // Get qualified organisms
-        const qualified = this.organisms.filter(org =>
-            org.age >= this.minAge 
-            && org.size >= this.minSize
+        // Find opposite pairs among the qualified organisms (see components.js)
+        const pairIndices = findOppositePairs(
+            this.organisms.map(org => ({ id: org.id, age: org.age, size: org.size, center: org.centerPosition, motion: org.motion })),
+            {
+                minAge: this.minAge,
+                minSize: this.minSize,
+                targetAngle: this.targetAngle,
+                angularTolerance: this.angularTolerance,
+                motion: this.pairMotion,
+                policy: this.pairPolicy,
+                previousPairs
+            }
         );
 
-        this.organisms.forEach(org => {
-            console.log(`Age: ${org.age}, Size: ${org.size}`);
+        pairIndices.forEach(([a, b]) => {
+            const orgA = this.organisms[a];
+            const orgB = this.organisms[b];
+            this.pairs.push({
+                id: this.pairs.length,
+                organismA: orgA,
+                organismB: orgB,
+                color: this.generateConnectionColor(this.pairs.length)
+            });
+
+            orgA.pairedWith = orgB.id;
+            orgB.pairedWith = orgA.id;
         });
 
-        console.log(`${qualified.length} qualified organisms for pairing`);
-
-        // Find opposite pairs
-        for (let i = 0; i < qualified.length; i++) {
-            for (let j = i + 1; j < qualified.length; j++) {
-                const orgA = qualified[i];
-                const orgB = qualified[j];
+        this.pairIds = this.pairs.map(pair => [pair.organismA.id, pair.organismB.id]);
+        this.saveTracking();
 
-                if (this.isAtAngularDistance(orgA.centerPosition, orgB.centerPosition, this.targetAngle)) {
-                    this.pairs.push({
-                        id: this.pairs.length,
-                        organismA: orgA,
-                        organismB: orgB,
-                        color: this.generateConnectionColor(this.pairs.length)
-                    });
-
-                    orgA.pairedWith = orgB.id;
-                    orgB.pairedWith = orgA.id;
-
-                    console.log(`Paired organism ${orgA.id} with ${orgB.id}`);
-                }
-            }
+        if (this.pairs.length > 0) {
+            console.log(`Paired ${this.pairs.length} organism pairs (${this.pairPolicy})`);
         }
     }
 
-    isAtAngularDistance(pos1, pos2, targetAngle) {
-        // Normalize vectors
-        const v1 = pos1.clone().normalize();
-        const v2 = pos2.clone().normalize();
-
-        // Calculate angular distance between the two positions
-        const dot = v1.dot(v2);
-        const angle = Math.acos(Math.max(-1, Math.min(1, dot))) * (180 / Math.PI);
-
-        // Check if angular distance matches target angle within tolerance (forms a belt)
-        const matchesBelt = Math.abs(angle - targetAngle) <= this.angularTolerance;
-
-        return matchesBelt;
-    }
-
     generateColor(index) {
         // HSL-based color generation
         const hue = (index * 137.5) % 360; // Golden angle distribution
@@ -184,10 +222,27 @@ export class OrganismTracker {
         return this.organisms;
     }
 
+    // Organism covering a tile, or null
+    getOrganismAt(tileIndex) {
+        return this.organisms.find(org => org.cells.includes(tileIndex)) || null;
+    }
+
+    getOrganism(id) {
+        return this.organisms.find(org => org.id === id) || null;
+    }
+
     getPairs() {
         return this.pairs;
     }
 
+    getLineage() {
+        return this.lineage;
+    }
+
+    getUpdateFrequency() {
+        return this.updateFrequency;
+    }
+
     setMinAge(age) {
         this.minAge = age;
     }
@@ -203,4 +258,36 @@ export class OrganismTracker {
     setAngularTolerance(tolerance) {
         this.angularTolerance = tolerance;
     }
+
+    setPairMotion(motion) {
+        this.pairMotion = motion;
+    }
+
+    setPairPolicy(policy) {
+        this.pairPolicy = policy;
+    }
+
+    getMinAge() {
+        return this.minAge;
+    }
+
+    getMinSize() {
+        return this.minSize;
+    }
+
+    getTargetAngle() {
+        return this.targetAngle;
+    }
+
+    getAngularTolerance() {
+        return this.angularTolerance;
+    }
+
+    getPairMotion() {
+        return this.pairMotion;
+    }
+
+    getPairPolicy() {
+        return this.pairPolicy;
+    }
 }
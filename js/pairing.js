@@ -0,0 +1,520 @@
+/**
+ * Organism Pairing
+ * One-to-one matching of candidate pairs: every organism gets at most one
+ * partner, chosen by a policy (no Three.js dependency)
+ * - nearest: as many pairs as possible, then the least total angular error
+ * - largest: the highest total size-weighted score
+ * - stable: last pass's pairs stay while still valid, the rest as nearest
+ * Both objectives are solved exactly as a maximum-weight matching.
+ */
+
+export const PAIR_POLICIES = ['nearest', 'largest', 'stable'];
+
+// Weights are scaled to integers so the matching's dual variables stay exact
+const WEIGHT_SCALE = 1e6;
+
+/**
+ * Split the candidates into groups that share no organism
+ */
+function findClusters(candidates) {
+    const parent = new Map();
+    const find = x => {
+        while (parent.get(x) !== x) {
+            parent.set(x, parent.get(parent.get(x)));
+            x = parent.get(x);
+        }
+        return x;
+    };
+    candidates.forEach(({ a, b }) => {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        parent.set(find(a), find(b));
+    });
+
+    const clusters = new Map();
+    candidates.forEach(candidate => {
+        const root = find(candidate.a);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(candidate);
+    });
+    return Array.from(clusters.values());
+}
+
+/**
+ * Maximum-weight matching in a general graph (Edmonds' blossom algorithm
+ * with dual variables, O(n³)). edges are [i, j, weight] with vertices
+ * 0..n-1 and integer weights; with maxCardinality the matching has as many
+ * edges as possible and the highest weight among those. Returns mate[v]
+ * (the vertex v is matched to, or -1).
+ */
+function maxWeightMatching(edges, maxCardinality) {
+    const edgeCount = edges.length;
+    let vertexCount = 0;
+    let maxWeight = 0;
+    edges.forEach(([i, j, weight]) => {
+        vertexCount = Math.max(vertexCount, i + 1, j + 1);
+        maxWeight = Math.max(maxWeight, weight);
+    });
+    if (edgeCount === 0) return new Array(vertexCount).fill(-1);
+
+    // Edge k has endpoints 2k (its first vertex) and 2k + 1 (its second)
+    const endpoint = [];
+    const neighborEnds = Array.from({ length: vertexCount }, () => []);
+    edges.forEach(([i, j], k) => {
+        endpoint.push(i, j);
+        neighborEnds[i].push(2 * k + 1);
+        neighborEnds[j].push(2 * k);
+    });
+
+    // mate[v]: the remote endpoint of v's matched edge, or -1
+    const mate = new Array(vertexCount).fill(-1);
+    // Per vertex or blossom (blossoms are numbered vertexCount and up):
+    // label 0 free, 1 S, 2 T; labelEnd the endpoint it got its label through
+    const label = new Array(2 * vertexCount).fill(0);
+    const labelEnd = new Array(2 * vertexCount).fill(-1);
+    const inBlossom = Array.from({ length: vertexCount }, (_, v) => v);
+    const blossomParent = new Array(2 * vertexCount).fill(-1);
+    const blossomChildren = new Array(2 * vertexCount).fill(null);
+    const blossomBase = Array.from({ length: 2 * vertexCount }, (_, b) => (b < vertexCount ? b : -1));
+    const blossomEnds = new Array(2 * vertexCount).fill(null);
+    // Least-slack edge to a different S-blossom
+    const bestEdge = new Array(2 * vertexCount).fill(-1);
+    const blossomBestEdges = new Array(2 * vertexCount).fill(null);
+    const unusedBlossoms = Array.from({ length: vertexCount }, (_, i) => vertexCount + i);
+    const dual = Array.from({ length: 2 * vertexCount }, (_, i) => (i < vertexCount ? maxWeight : 0));
+    const allowEdge = new Array(edgeCount).fill(false);
+    let queue = [];
+
+    const slack = k => {
+        const [i, j, weight] = edges[k];
+        return dual[i] + dual[j] - 2 * weight;
+    };
+    // Python-style index: negative counts from the end
+    const at = (list, index) => list[index < 0 ? index + list.length : index];
+
+    const blossomLeaves = b => {
+        if (b < vertexCount) return [b];
+        const leaves = [];
+        blossomChildren[b].forEach(child => leaves.push(...blossomLeaves(child)));
+        return leaves;
+    };
+
+    const assignLabel = (w, t, p) => {
+        const b = inBlossom[w];
+        label[w] = label[b] = t;
+        labelEnd[w] = labelEnd[b] = p;
+        bestEdge[w] = bestEdge[b] = -1;
+        if (t === 1) {
+            queue.push(...blossomLeaves(b));
+        } else if (t === 2) {
+            const base = blossomBase[b];
+            assignLabel(endpoint[mate[base]], 1, mate[base] ^ 1);
+        }
+    };
+
+    // Trace back from v and w to find a new blossom's base, or -1 for an
+    // augmenting path
+    const scanBlossom = (v, w) => {
+        const path = [];
+        let base = -1;
+        while (v !== -1 || w !== -1) {
+            let b = inBlossom[v];
+            if (label[b] & 4) {
+                base = blossomBase[b];
+                break;
+            }
+            path.push(b);
+            label[b] = 5;
+            if (labelEnd[b] === -1) {
+                v = -1;
+            } else {
+                v = endpoint[labelEnd[b]];
+                b = inBlossom[v];
+                v = endpoint[labelEnd[b]];
+            }
+            if (w !== -1) {
+                [v, w] = [w, v];
+            }
+        }
+        path.forEach(b => {
+            label[b] = 1;
+        });
+        return base;
+    };
+
+    const addBlossom = (base, k) => {
+        let [v, w] = edges[k];
+        const bb = inBlossom[base];
+        let bv = inBlossom[v];
+        let bw = inBlossom[w];
+        const b = unusedBlossoms.pop();
+        blossomBase[b] = base;
+        blossomParent[b] = -1;
+        blossomParent[bb] = b;
+
+        let path = [];
+        let ends = [];
+        while (bv !== bb) {
+            blossomParent[bv] = b;
+            path.push(bv);
+            ends.push(labelEnd[bv]);
+            v = endpoint[labelEnd[bv]];
+            bv = inBlossom[v];
+        }
+        path.push(bb);
+        path = path.reverse();
+        ends = ends.reverse();
+        ends.push(2 * k);
+        while (bw !== bb) {
+            blossomParent[bw] = b;
+            path.push(bw);
+            ends.push(labelEnd[bw] ^ 1);
+            w = endpoint[labelEnd[bw]];
+            bw = inBlossom[w];
+        }
+        blossomChildren[b] = path;
+        blossomEnds[b] = ends;
+
+        label[b] = 1;
+        labelEnd[b] = labelEnd[bb];
+        dual[b] = 0;
+        blossomLeaves(b).forEach(leaf => {
+            // T-vertices become S-vertices inside the new S-blossom
+            if (label[inBlossom[leaf]] === 2) queue.push(leaf);
+            inBlossom[leaf] = b;
+        });
+
+        const bestEdgeTo = new Array(2 * vertexCount).fill(-1);
+        path.forEach(child => {
+            const lists = blossomBestEdges[child]
+                ? [blossomBestEdges[child]]
+                : blossomLeaves(child).map(leaf => neighborEnds[leaf].map(p => p >> 1));
+            lists.forEach(list => list.forEach(edge => {
+                let [i, j] = edges[edge];
+                if (inBlossom[j] === b) [i, j] = [j, i];
+                const bj = inBlossom[j];
+                if (bj !== b && label[bj] === 1 && (bestEdgeTo[bj] === -1 || slack(edge) < slack(bestEdgeTo[bj]))) {
+                    bestEdgeTo[bj] = edge;
+                }
+            }));
+            blossomBestEdges[child] = null;
+            bestEdge[child] = -1;
+        });
+        blossomBestEdges[b] = bestEdgeTo.filter(edge => edge !== -1);
+        bestEdge[b] = -1;
+        blossomBestEdges[b].forEach(edge => {
+            if (bestEdge[b] === -1 || slack(edge) < slack(bestEdge[b])) bestEdge[b] = edge;
+        });
+    };
+
+    const expandBlossom = (b, endStage) => {
+        blossomChildren[b].forEach(child => {
+            blossomParent[child] = -1;
+            if (child < vertexCount) {
+                inBlossom[child] = child;
+            } else if (endStage && dual[child] === 0) {
+                expandBlossom(child, endStage);
+            } else {
+                blossomLeaves(child).forEach(leaf => {
+                    inBlossom[leaf] = child;
+                });
+            }
+        });
+
+        // Mid-stage, relabel the sub-blossoms of an expanded T-blossom
+        if (!endStage && label[b] === 2) {
+            const children = blossomChildren[b];
+            const ends = blossomEnds[b];
+            const entryChild = inBlossom[endpoint[labelEnd[b] ^ 1]];
+            let j = children.indexOf(entryChild);
+            let step;
+            let endTrick;
+            if (j & 1) {
+                j -= children.length;
+                step = 1;
+                endTrick = 0;
+            } else {
+                step = -1;
+                endTrick = 1;
+            }
+
+            let p = labelEnd[b];
+            while (j !== 0) {
+                label[endpoint[p ^ 1]] = 0;
+                label[endpoint[at(ends, j - endTrick) ^ endTrick ^ 1]] = 0;
+                assignLabel(endpoint[p ^ 1], 2, p);
+                allowEdge[at(ends, j - endTrick) >> 1] = true;
+                j += step;
+                p = at(ends, j - endTrick) ^ endTrick;
+                allowEdge[p >> 1] = true;
+                j += step;
+            }
+
+            let bv = at(children, j);
+            label[endpoint[p ^ 1]] = label[bv] = 2;
+            labelEnd[endpoint[p ^ 1]] = labelEnd[bv] = p;
+            bestEdge[bv] = -1;
+            j += step;
+            while (at(children, j) !== entryChild) {
+                bv = at(children, j);
+                if (label[bv] === 1) {
+                    j += step;
+                    continue;
+                }
+                const leaf = blossomLeaves(bv).find(v => label[v] !== 0);
+                if (leaf !== undefined) {
+                    label[leaf] = 0;
+                    label[endpoint[mate[blossomBase[bv]]]] = 0;
+                    assignLabel(leaf, 2, labelEnd[leaf]);
+                }
+                j += step;
+            }
+        }
+
+        label[b] = labelEnd[b] = -1;
+        blossomChildren[b] = blossomEnds[b] = null;
+        blossomBase[b] = -1;
+        blossomBestEdges[b] = null;
+        bestEdge[b] = -1;
+        unusedBlossoms.push(b);
+    };
+
+    // Flip the matched edges along the path through blossom b from vertex v to its base
+    const augmentBlossom = (b, v) => {
+        let t = v;
+        while (blossomParent[t] !== b) t = blossomParent[t];
+        if (t >= vertexCount) augmentBlossom(t, v);
+
+        const children = blossomChildren[b];
+        const ends = blossomEnds[b];
+        const i = children.indexOf(t);
+        let j = i;
+        let step;
+        let endTrick;
+        if (i & 1) {
+            j -= children.length;
+            step = 1;
+            endTrick = 0;
+        } else {
+            step = -1;
+            endTrick = 1;
+        }
+        while (j !== 0) {
+            j += step;
+            t = at(children, j);
+            const p = at(ends, j - endTrick) ^ endTrick;
+            if (t >= vertexCount) augmentBlossom(t, endpoint[p]);
+            j += step;
+            t = at(children, j);
+            if (t >= vertexCount) augmentBlossom(t, endpoint[p ^ 1]);
+            mate[endpoint[p]] = p ^ 1;
+            mate[endpoint[p ^ 1]] = p;
+        }
+
+        // The child holding v becomes the first, so v is the new base
+        blossomChildren[b] = children.slice(i).concat(children.slice(0, i));
+        blossomEnds[b] = ends.slice(i).concat(ends.slice(0, i));
+        blossomBase[b] = blossomBase[blossomChildren[b][0]];
+    };
+
+    const augmentMatching = k => {
+        const [v, w] = edges[k];
+        [[v, 2 * k + 1], [w, 2 * k]].forEach(([start, startEnd]) => {
+            let s = start;
+            let p = startEnd;
+            for (;;) {
+                const bs = inBlossom[s];
+                if (bs >= vertexCount) augmentBlossom(bs, s);
+                mate[s] = p;
+                if (labelEnd[bs] === -1) break;
+                const t = endpoint[labelEnd[bs]];
+                const bt = inBlossom[t];
+                s = endpoint[labelEnd[bt]];
+                const j = endpoint[labelEnd[bt] ^ 1];
+                if (bt >= vertexCount) augmentBlossom(bt, j);
+                mate[j] = labelEnd[bt];
+                p = labelEnd[bt] ^ 1;
+            }
+        });
+    };
+
+    // Each stage grows the matching by one edge, or ends the search
+    for (let stage = 0; stage < vertexCount; stage++) {
+        label.fill(0);
+        bestEdge.fill(-1);
+        blossomBestEdges.fill(null, vertexCount);
+        allowEdge.fill(false);
+        queue = [];
+        for (let v = 0; v < vertexCount; v++) {
+            if (mate[v] === -1 && label[inBlossom[v]] === 0) assignLabel(v, 1, -1);
+        }
+
+        let augmented = false;
+        for (;;) {
+            while (queue.length > 0 && !augmented) {
+                const v = queue.pop();
+                for (const p of neighborEnds[v]) {
+                    const k = p >> 1;
+                    const w = endpoint[p];
+                    if (inBlossom[v] === inBlossom[w]) continue;
+                    let kSlack = 0;
+                    if (!allowEdge[k]) {
+                        kSlack = slack(k);
+                        if (kSlack <= 0) allowEdge[k] = true;
+                    }
+                    if (allowEdge[k]) {
+                        if (label[inBlossom[w]] === 0) {
+                            assignLabel(w, 2, p ^ 1);
+                        } else if (label[inBlossom[w]] === 1) {
+                            const base = scanBlossom(v, w);
+                            if (base >= 0) {
+                                addBlossom(base, k);
+                            } else {
+                                augmentMatching(k);
+                                augmented = true;
+                                break;
+                            }
+                        } else if (label[w] === 0) {
+                            label[w] = 2;
+                            labelEnd[w] = p ^ 1;
+                        }
+                    } else if (label[inBlossom[w]] === 1) {
+                        const b = inBlossom[v];
+                        if (bestEdge[b] === -1 || kSlack < slack(bestEdge[b])) bestEdge[b] = k;
+                    } else if (label[w] === 0) {
+                        if (bestEdge[w] === -1 || kSlack < slack(bestEdge[w])) bestEdge[w] = k;
+                    }
+                }
+            }
+            if (augmented) break;
+
+            // No augmenting path with the current duals: pick the smallest
+            // dual change that opens up a new edge or blossom
+            let deltaType = -1;
+            let delta = 0;
+            let deltaEdge = -1;
+            let deltaBlossom = -1;
+            if (!maxCardinality) {
+                deltaType = 1;
+                delta = Math.min(...dual.slice(0, vertexCount));
+            }
+            for (let v = 0; v < vertexCount; v++) {
+                if (label[inBlossom[v]] === 0 && bestEdge[v] !== -1) {
+                    const d = slack(bestEdge[v]);
+                    if (deltaType === -1 || d < delta) {
+                        delta = d;
+                        deltaType = 2;
+                        deltaEdge = bestEdge[v];
+                    }
+                }
+            }
+            for (let b = 0; b < 2 * vertexCount; b++) {
+                if (blossomParent[b] === -1 && label[b] === 1 && bestEdge[b] !== -1) {
+                    const d = slack(bestEdge[b]) / 2;
+                    if (deltaType === -1 || d < delta) {
+                        delta = d;
+                        deltaType = 3;
+                        deltaEdge = bestEdge[b];
+                    }
+                }
+            }
+            for (let b = vertexCount; b < 2 * vertexCount; b++) {
+                if (blossomBase[b] >= 0 && blossomParent[b] === -1 && label[b] === 2 && (deltaType === -1 || dual[b] < delta)) {
+                    delta = dual[b];
+                    deltaType = 4;
+                    deltaBlossom = b;
+                }
+            }
+            if (deltaType === -1) {
+                // Maximum cardinality reached: finish with the vertex duals
+                deltaType = 1;
+                delta = Math.max(0, Math.min(...dual.slice(0, vertexCount)));
+            }
+
+            for (let v = 0; v < vertexCount; v++) {
+                if (label[inBlossom[v]] === 1) {
+                    dual[v] -= delta;
+                } else if (label[inBlossom[v]] === 2) {
+                    dual[v] += delta;
+                }
+            }
+            for (let b = vertexCount; b < 2 * vertexCount; b++) {
+                if (blossomBase[b] >= 0 && blossomParent[b] === -1) {
+                    if (label[b] === 1) {
+                        dual[b] += delta;
+                    } else if (label[b] === 2) {
+                        dual[b] -= delta;
+                    }
+                }
+            }
+
+            if (deltaType === 1) {
+                break;
+            } else if (deltaType === 2) {
+                allowEdge[deltaEdge] = true;
+                let [i, j] = edges[deltaEdge];
+                if (label[inBlossom[i]] === 0) [i, j] = [j, i];
+                queue.push(i);
+            } else if (deltaType === 3) {
+                allowEdge[deltaEdge] = true;
+                queue.push(edges[deltaEdge][0]);
+            } else {
+                expandBlossom(deltaBlossom, false);
+            }
+        }
+
+        if (!augmented) break;
+
+        // End of stage: expand S-blossoms whose dual reached zero
+        for (let b = vertexCount; b < 2 * vertexCount; b++) {
+            if (blossomParent[b] === -1 && blossomBase[b] >= 0 && label[b] === 1 && dual[b] === 0) {
+                expandBlossom(b, true);
+            }
+        }
+    }
+
+    return mate.map(end => (end >= 0 ? endpoint[end] : -1));
+}
+
+/**
+ * Optimal matching of one cluster. nearest wants the most pairs, then the
+ * least total error; largest the highest total score.
+ */
+function matchCluster(candidates, policy) {
+    const organisms = Array.from(new Set(candidates.flatMap(({ a, b }) => [a, b]))).sort((x, y) => x - y);
+    const vertex = new Map(organisms.map((organism, i) => [organism, i]));
+    const maxError = Math.max(...candidates.map(candidate => candidate.error));
+
+    const edges = candidates.map(candidate => {
+        // Every weight positive; with nearest only the error differences count
+        const value = policy === 'largest' ? candidate.score : maxError - candidate.error;
+        return [vertex.get(candidate.a), vertex.get(candidate.b), Math.round(value * WEIGHT_SCALE) + 1];
+    });
+    const mate = maxWeightMatching(edges, policy !== 'largest');
+
+    return candidates.filter(candidate => mate[vertex.get(candidate.a)] === vertex.get(candidate.b));
+}
+
+/**
+ * Pick pairs from the candidates ({ a, b, error, score }, a and b being
+ * organism indices) so no organism is in two of them. kept lists
+ * candidates that must stay (the 'stable' policy's valid old pairs).
+ * Returns the chosen candidates.
+ */
+export function matchPairs(candidates, policy = 'nearest', kept = []) {
+    const used = new Set();
+    const chosen = [];
+    kept.forEach(candidate => {
+        if (used.has(candidate.a) || used.has(candidate.b)) return;
+        used.add(candidate.a);
+        used.add(candidate.b);
+        chosen.push(candidate);
+    });
+
+    const open = candidates.filter(({ a, b }) => !used.has(a) && !used.has(b));
+    const openPolicy = policy === 'stable' ? 'nearest' : policy;
+    findClusters(open).forEach(cluster => {
+        chosen.push(...matchCluster(cluster, openPolicy));
+    });
+    return chosen;
+}
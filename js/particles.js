@@ -182,6 +182,12 @@ export class ParticleFlowManager {
         }
     }
 
+    // Drop every connection (e.g. before a recording, so particles start fresh)
+    clear() {
+        Array.from(this.connections.keys()).forEach(pairId => this.removeConnection(pairId));
+        this.currentPairs = new Set();
+    }
+
     detectIntersections() {
         // Check if particles are near sphere center
         this.connections.forEach(connection => {
@@ -222,4 +228,16 @@ export class ParticleFlowManager {
             connection.particleSystem.material.size = size;
         });
     }
+
+    getFlowSpeed() {
+        return this.flowSpeed;
+    }
+
+    getVibrationMode() {
+        return this.vibrationMode;
+    }
+
+    getParticleSize() {
+        return this.particleSize;
+    }
 }
@@ -0,0 +1,257 @@
+/**
+ * Pattern Library
+ * Hex patterns in local axial coordinates (q, r), stamped onto the sphere
+ * with any of the 6 rotations and a mirror (no Three.js dependency)
+ */
+
+// Axial neighbor directions in cyclic order; direction d + 3 is the
+// opposite of d
+export const AXIAL_DIRECTIONS = [[1, 0], [1, -1], [0, -1], [-1, 0], [-1, 1], [0, 1]];
+
+/**
+ * Known patterns and how they behave under each rule (canonical
+ * rulestrings). Periods and gliders were checked on the flat hex lattice;
+ * on the sphere they hold while the pattern stays clear of the pentagons.
+ */
+export const PATTERN_LIBRARY = [
+    {
+        name: 'domino',
+        cells: [[0, 0], [0, 1]],
+        rules: {
+            'B2/S23H': { type: 'oscillator', period: 2 },
+            'B2/S34H': { type: 'oscillator', period: 2 },
+            'B2/S2H': { type: 'oscillator', period: 2 },
+            'B24/S245H': { type: 'oscillator', period: 2 },
+            'B24/S35H': { type: 'oscillator', period: 2 },
+            'B3/S12H': { type: 'still', period: 1 }
+        }
+    },
+    {
+        name: 'triangle',
+        cells: [[0, 0], [0, 1], [1, 0]],
+        rules: {
+            'B2/S34H': { type: 'oscillator', period: 2 },
+            'B24/S35H': { type: 'oscillator', period: 2 },
+            'B3/S23H': { type: 'still', period: 1 },
+            'B3/S12H': { type: 'still', period: 1 },
+            'B3/S2H': { type: 'still', period: 1 }
+        }
+    },
+    {
+        name: 'bent line',
+        cells: [[0, 0], [0, 1], [1, 1]],
+        rules: {
+            'B2/S23H': { type: 'oscillator', period: 2 },
+            'B2/S2H': { type: 'oscillator', period: 2 },
+            'B24/S245H': { type: 'oscillator', period: 2 }
+        }
+    },
+    {
+        name: 'line',
+        cells: [[0, 0], [0, 1], [0, 2], [0, 3]],
+        rules: {
+            'B24/S35H': { type: 'oscillator', period: 6 },
+            'B3/S12H': { type: 'still', period: 1 }
+        }
+    },
+    {
+        name: 'rhombus',
+        cells: [[0, 0], [0, 1], [1, 0], [1, 1]],
+        rules: {
+            'B24/S35H': { type: 'oscillator', period: 2 },
+            'B3/S23H': { type: 'still', period: 1 }
+        }
+    },
+    {
+        name: 'hook',
+        cells: [[0, 0], [0, 1], [1, 1], [2, 0]],
+        rules: {
+            'B2/S34H': { type: 'oscillator', period: 4 },
+            'B3/S12H': { type: 'still', period: 1 }
+        }
+    },
+    {
+        name: 'flipper',
+        cells: [[0, 1], [1, 1], [1, 2], [2, 0]],
+        rules: {
+            'B3/S23H': { type: 'oscillator', period: 2 }
+        }
+    },
+    {
+        name: 'hexagon',
+        cells: [[0, 1], [0, 2], [1, 0], [1, 2], [2, 0], [2, 1]],
+        rules: {
+            'B2/S23H': { type: 'oscillator', period: 4 },
+            'B2/S34H': { type: 'oscillator', period: 3 },
+            'B3/S23H': { type: 'still', period: 1 },
+            'B3/S12H': { type: 'still', period: 1 },
+            'B3/S2H': { type: 'still', period: 1 }
+        }
+    },
+    {
+        name: 'propeller',
+        cells: [[0, 1], [1, 1], [1, 2], [1, 3], [2, 1], [3, 0]],
+        rules: {
+            'B2/S23H': { type: 'oscillator', period: 2 },
+            'B2/S34H': { type: 'oscillator', period: 2 },
+            'B24/S35H': { type: 'oscillator', period: 2 }
+        }
+    },
+    {
+        name: 'crown',
+        cells: [[0, 0], [0, 1], [0, 2], [1, 0], [1, 2], [2, 1]],
+        rules: {
+            'B3/S12H': { type: 'oscillator', period: 2 }
+        }
+    },
+    {
+        name: 'glider',
+        cells: [[0, 2], [0, 3], [2, 0], [2, 2], [2, 3], [3, 0], [3, 2]],
+        rules: {
+            'B2/S2H': { type: 'glider', period: 3 },
+            'B2/S25H': { type: 'glider', period: 3 }
+        }
+    },
+    {
+        name: 'small glider',
+        cells: [[0, 3], [1, 1], [1, 2], [3, 0], [3, 1], [4, 1]],
+        rules: {
+            'B24/S245H': { type: 'glider', period: 3 }
+        }
+    }
+];
+
+export function findPattern(name) {
+    return PATTERN_LIBRARY.find(pattern => pattern.name === name) || null;
+}
+
+/**
+ * Library patterns with a known behavior under the given canonical
+ * rulestring, as { name, type, period, cells }
+ */
+export function getPatternsForRule(rulestring) {
+    return PATTERN_LIBRARY
+        .filter(pattern => pattern.rules[rulestring])
+        .map(pattern => ({ name: pattern.name, ...pattern.rules[rulestring], cells: pattern.cells }));
+}
+
+// 60 degree rotation: the direction d maps to d - 1
+export function rotateAxial([q, r]) {
+    return [-r, q + r];
+}
+
+// Reflection across the q axis
+export function mirrorAxial([q, r]) {
+    return [q, -q - r];
+}
+
+function axialDistance(q, r) {
+    return (Math.abs(q) + Math.abs(r) + Math.abs(q + r)) / 2;
+}
+
+/**
+ * Mirror (first), rotate by rotation * 60 degrees and recenter the cells on
+ * the cell nearest their centroid, which becomes the anchor
+ */
+export function transformCells(cells, rotation = 0, mirror = false) {
+    let transformed = cells.map(cell => (mirror ? mirrorAxial(cell) : cell));
+    const turns = ((Math.round(rotation) % 6) + 6) % 6;
+    for (let turn = 0; turn < turns; turn++) {
+        transformed = transformed.map(rotateAxial);
+    }
+
+    let sumQ = 0;
+    let sumR = 0;
+    transformed.forEach(([q, r]) => {
+        sumQ += q;
+        sumR += r;
+    });
+    const meanQ = sumQ / transformed.length;
+    const meanR = sumR / transformed.length;
+    let center = transformed[0];
+    let best = Infinity;
+    transformed.forEach(([q, r]) => {
+        const distance = axialDistance(q - meanQ, r - meanR);
+        if (distance < best) {
+            best = distance;
+            center = [q, r];
+        }
+    });
+
+    return transformed.map(([q, r]) => [q - center[0], r - center[1]]);
+}
+
+/**
+ * Map axial cells (anchor at 0,0) onto tiles. The hex lattice is unfolded
+ * breadth-first from the anchor over hexagon tiles only, so each cell lands
+ * on the tile reached along its shortest lattice path. Pentagons break the
+ * lattice: a cell that falls on a pentagon, or that can only be reached
+ * through one, is dropped, as is a cell whose tile another cell already took.
+ *
+ * pentagonPolicy 'clip' stamps whatever cells remain; 'reject' stamps
+ * nothing if any cell was dropped.
+ *
+ * rings is buildNeighborRings() output; returns { tiles, dropped, rejected }.
+ * Throws if anchor is not a tile of the grid.
+ */
+export function placeCells(rings, isPentagon, cells, anchor, pentagonPolicy = 'clip') {
+    const { offsets, indices } = rings;
+    if (!Number.isInteger(anchor) || anchor < 0 || anchor >= offsets.length - 1) {
+        throw new Error(`Pattern anchor ${anchor} is not a tile of this grid`);
+    }
+    let reach = 0;
+    cells.forEach(([q, r]) => {
+        reach = Math.max(reach, axialDistance(q, r));
+    });
+
+    // Axial key -> { tile, orientation }; direction d of a placed hexagon is
+    // its ring neighbor (orientation + d) mod 6
+    const placed = new Map();
+    const key = (q, r) => `${q},${r}`;
+    placed.set(key(0, 0), { tile: anchor, orientation: 0 });
+    let frontier = isPentagon[anchor] ? [] : [[0, 0]];
+
+    for (let distance = 1; distance <= reach && frontier.length > 0; distance++) {
+        const nextFrontier = [];
+        frontier.forEach(([q, r]) => {
+            const { tile, orientation } = placed.get(key(q, r));
+            AXIAL_DIRECTIONS.forEach(([dq, dr], d) => {
+                const nq = q + dq;
+                const nr = r + dr;
+                if (placed.has(key(nq, nr)) || axialDistance(nq, nr) !== distance) return;
+
+                const neighbor = indices[offsets[tile] + (orientation + d) % 6];
+                let neighborOrientation = 0;
+                if (!isPentagon[neighbor]) {
+                    // The neighbor's direction d + 3 points back at tile
+                    let back = offsets[neighbor];
+                    const end = offsets[neighbor + 1];
+                    while (back < end && indices[back] !== tile) back++;
+                    if (back === end) return; // one-way adjacency: leave the cell unreached
+                    neighborOrientation = (((back - offsets[neighbor]) - (d + 3)) % 6 + 6) % 6;
+                    nextFrontier.push([nq, nr]);
+                }
+                placed.set(key(nq, nr), { tile: neighbor, orientation: neighborOrientation });
+            });
+        });
+        frontier = nextFrontier;
+    }
+
+    const tiles = [];
+    const used = new Set();
+    let dropped = 0;
+    cells.forEach(([q, r]) => {
+        const entry = placed.get(key(q, r));
+        if (!entry || isPentagon[entry.tile] || used.has(entry.tile)) {
+            dropped++;
+            return;
+        }
+        used.add(entry.tile);
+        tiles.push(entry.tile);
+    });
+
+    if (dropped > 0 && pentagonPolicy === 'reject') {
+        return { tiles: [], dropped, rejected: true };
+    }
+    return { tiles, dropped, rejected: false };
+}
@@ -0,0 +1,254 @@
+/**
+ * Persistence
+ * Versioned JSON save documents (settings + cell state) and named
+ * localStorage slots. No Three.js dependency; UIController gathers and
+ * applies the settings.
+ */
+
+import { packState, unpackState } from './history.js';
+import { MIN_SUBDIVISIONS, MAX_SUBDIVISIONS } from './topology.js';
+
+export const SAVE_FORMAT = 'life-projection-save';
+export const SAVE_VERSION = 1;
+
+const SLOT_PREFIX = 'lifeprojection.slot.';
+
+// Sections every version 1 document must have
+const REQUIRED_SECTIONS = ['sphere', 'grid', 'simulation', 'rules', 'organisms', 'particles', 'visual', 'cells'];
+
+function encodeBytes(array) {
+    // Typed array bytes (platform order, little-endian in practice) as base64
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeBytes(text, ArrayType, label) {
+    let binary;
+    try {
+        binary = atob(text);
+    } catch (error) {
+        throw new Error(`Save file cells.${label} is not valid base64`);
+    }
+    if (binary.length % ArrayType.BYTES_PER_ELEMENT !== 0) {
+        throw new Error(`Save file cells.${label} has a truncated value`);
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new ArrayType(bytes.buffer);
+}
+
+// Pentagon tile indices, a cheap fingerprint of Hexasphere's tile order
+export function getPentagonFingerprint(adjacency) {
+    const { offsets } = adjacency;
+    const pentagons = [];
+    for (let i = 0; i < offsets.length - 1; i++) {
+        if (offsets[i + 1] - offsets[i] === 5) {
+            pentagons.push(i);
+        }
+    }
+    return pentagons;
+}
+
+export function serializeCells(state) {
+    const packed = packState(state);
+    return {
+        tickCount: packed.tickCount,
+        cellCount: packed.cellCount,
+        alive: encodeBytes(packed.alive),
+        ages: encodeBytes(packed.ages),
+        stability: encodeBytes(packed.stability),
+        decay: packed.decay ? encodeBytes(packed.decay) : null,
+        species: packed.species ? encodeBytes(packed.species) : null,
+        level: packed.level ? encodeBytes(packed.level) : null,
+        randomState: packed.randomState
+    };
+}
+
+/**
+ * Decode the cells section into full state buffers for
+ * LifeSimulation.loadState(), checking every size against cellCount
+ */
+export function deserializeCells(cells) {
+    const n = cells.cellCount;
+    const packed = {
+        tickCount: cells.tickCount,
+        cellCount: n,
+        alive: decodeBytes(cells.alive, Uint8Array, 'alive'),
+        ages: decodeBytes(cells.ages, Uint32Array, 'ages'),
+        stability: decodeBytes(cells.stability, Uint32Array, 'stability'),
+        decay: cells.decay ? decodeBytes(cells.decay, Uint8Array, 'decay') : null,
+        species: cells.species ? decodeBytes(cells.species, Uint8Array, 'species') : null,
+        level: cells.level ? decodeBytes(cells.level, Float32Array, 'level') : null,
+        randomState: cells.randomState
+    };
+
+    if (packed.alive.length !== (n + 7) >> 3) {
+        throw new Error(`Save file alive bitset covers ${packed.alive.length * 8} cells, expected ${n}`);
+    }
+    let aliveCount = 0;
+    for (let i = 0; i < n; i++) {
+        if (packed.alive[i >> 3] & (1 << (i & 7))) aliveCount++;
+    }
+    if (packed.ages.length !== aliveCount || packed.stability.length !== aliveCount) {
+        throw new Error(`Save file has ${aliveCount} living cells but ${packed.ages.length} ages and ${packed.stability.length} stability counters`);
+    }
+    [['decay', packed.decay], ['species', packed.species], ['level', packed.level]].forEach(([label, array]) => {
+        if (array && array.length !== n) {
+            throw new Error(`Save file cells.${label} has ${array.length} entries, expected ${n}`);
+        }
+    });
+
+    return unpackState(packed);
+}
+
+/**
+ * Check format, version and structure. Throws an Error describing the
+ * first problem found.
+ */
+export function validateSaveDocument(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error('Save file is not a JSON object');
+    }
+    if (doc.format !== SAVE_FORMAT) {
+        throw new Error(`Not a Life Projection save file (format is "${doc.format}")`);
+    }
+    if (!Number.isInteger(doc.version)) {
+        throw new Error('Save file has no version');
+    }
+    if (doc.version > SAVE_VERSION) {
+        throw new Error(`Save file version ${doc.version} is newer than this app supports (${SAVE_VERSION})`);
+    }
+
+    REQUIRED_SECTIONS.forEach(section => {
+        if (!doc[section] || typeof doc[section] !== 'object') {
+            throw new Error(`Save file is missing the "${section}" section`);
+        }
+    });
+
+    const { radius, subdivisions } = doc.sphere;
+    if (!(radius > 0) || !Number.isInteger(subdivisions) || subdivisions < MIN_SUBDIVISIONS || subdivisions > MAX_SUBDIVISIONS) {
+        throw new Error(`Save file has an invalid sphere (radius ${radius}, subdivisions ${subdivisions}; ${MIN_SUBDIVISIONS} to ${MAX_SUBDIVISIONS})`);
+    }
+
+    // Hexasphere always produces 10 * s^2 + 2 tiles
+    const expectedCells = 10 * subdivisions * subdivisions + 2;
+    if (doc.grid.cellCount !== expectedCells || doc.cells.cellCount !== expectedCells) {
+        throw new Error(`Save file grid has ${doc.grid.cellCount} cells, but ${subdivisions} subdivisions give ${expectedCells}`);
+    }
+    if (!Array.isArray(doc.grid.pentagons) || doc.grid.pentagons.length !== 12) {
+        throw new Error('Save file grid must list the 12 pentagon tiles');
+    }
+    if (!Number.isInteger(doc.cells.tickCount) || doc.cells.tickCount < 0) {
+        throw new Error(`Save file has an invalid tick count (${doc.cells.tickCount})`);
+    }
+
+    ['survivalRules', 'birthRules'].forEach(name => {
+        const rule = doc.rules[name];
+        if (!rule || !Array.isArray(rule.neighbors) || !rule.neighbors.every(Number.isInteger)) {
+            throw new Error(`Save file rules.${name} must have a list of neighbor counts`);
+        }
+    });
+    if (!doc.rules.deathRules || typeof doc.rules.deathRules !== 'object') {
+        throw new Error('Save file is missing rules.deathRules');
+    }
+
+    return doc;
+}
+
+/**
+ * Compare the saved grid with the generated one, so a different tile
+ * order (e.g. another Hexasphere build) fails loudly instead of scrambling
+ * the cells
+ */
+export function checkGridMatch(doc, tiles, adjacency) {
+    if (tiles.length !== doc.grid.cellCount) {
+        throw new Error(`Grid mismatch: save has ${doc.grid.cellCount} cells, current grid has ${tiles.length}`);
+    }
+    const pentagons = getPentagonFingerprint(adjacency);
+    if (pentagons.join(',') !== doc.grid.pentagons.join(',')) {
+        throw new Error('Grid mismatch: pentagon tiles are at different indices, so the tile order differs from the saved grid');
+    }
+}
+
+export function parseSaveDocument(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Save file is not valid JSON: ${error.message}`);
+    }
+    return validateSaveDocument(doc);
+}
+
+// Named localStorage slots
+
+/**
+ * localStorage, or an error saying why it cannot be used. Merely
+ * reading it throws a SecurityError where storage is blocked (some file://
+ * pages, disabled cookies).
+ */
+function getStorage() {
+    let storage;
+    try {
+        storage = globalThis.localStorage;
+    } catch (error) {
+        throw new Error(`Browser storage is blocked (${error.message})`);
+    }
+    if (!storage) {
+        throw new Error('Browser storage is not available');
+    }
+    return storage;
+}
+
+export function listSlots() {
+    // No storage means no slots, rather than a failure
+    try {
+        const storage = getStorage();
+        const names = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key.startsWith(SLOT_PREFIX)) {
+                names.push(key.slice(SLOT_PREFIX.length));
+            }
+        }
+        return names.sort();
+    } catch (error) {
+        console.warn(`Saved slots unavailable: ${error.message}`);
+        return [];
+    }
+}
+
+export function saveSlot(name, doc) {
+    try {
+        getStorage().setItem(SLOT_PREFIX + name, JSON.stringify(doc));
+    } catch (error) {
+        throw new Error(`Could not save slot "${name}": ${error.message}`);
+    }
+}
+
+export function loadSlot(name) {
+    let text;
+    try {
+        text = getStorage().getItem(SLOT_PREFIX + name);
+    } catch (error) {
+        throw new Error(`Could not load slot "${name}": ${error.message}`);
+    }
+    if (text === null) {
+        throw new Error(`No saved slot named "${name}"`);
+    }
+    return parseSaveDocument(text);
+}
+
+export function deleteSlot(name) {
+    try {
+        getStorage().removeItem(SLOT_PREFIX + name);
+    } catch (error) {
+        throw new Error(`Could not delete slot "${name}": ${error.message}`);
+    }
+}
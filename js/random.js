@@ -0,0 +1,46 @@
+/**
+ * Seeded Random
+ * Small seedable PRNG (mulberry32) so runs can be reproduced exactly
+ */
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    // Position in the sequence, so a run can resume from a snapshot
+    getState() {
+        return this.state;
+    }
+
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
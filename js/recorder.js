@@ -0,0 +1,299 @@
+/**
+ * Time-Lapse Recorder
+ * Steps the simulation on a fixed time step (K ticks per frame, no wall
+ * clock) and captures every frame at a set resolution, with an optional
+ * camera orbit and tick/rule overlay. Frames go to a WebM (WebCodecs,
+ * each frame stamped at frame / fps) or a zip of numbered PNGs. From the
+ * same seed, rules and view a recording gives the same frames every time.
+ */
+
+import * as THREE from 'three';
+import { createWebm } from './webm.js';
+import { createZip } from './zip.js';
+
+// Preferred WebM encodings, best first: WebCodecs codec and Matroska codec id
+const WEBM_CODECS = [
+    { codec: 'vp09.00.51.08', codecId: 'V_VP9' },
+    { codec: 'vp8', codecId: 'V_VP8' }
+];
+
+// A keyframe every this many seconds of video, so players can seek
+const KEYFRAME_SECONDS = 2;
+
+// Frames queued in the encoder before the recorder waits for it
+const MAX_ENCODE_QUEUE = 8;
+
+export class TimeLapseRecorder {
+    constructor(sceneManager, gameEngine, organismTracker, particleManager) {
+        this.sceneManager = sceneManager;
+        this.game = gameEngine;
+        this.organisms = organismTracker;
+        this.particles = particleManager;
+
+        // Settings
+        this.options = {
+            format: 'webm', // 'webm' or 'png' (zip of numbered frames)
+            ticksPerFrame: 1,
+            frames: 120,
+            fps: 30,
+            width: 1280,
+            height: 720,
+            orbitDegrees: 0.5, // camera turn around the vertical axis per frame
+            overlay: true, // tick and rule in the corner
+            fromStart: true // restart the run from its starting pattern first
+        };
+
+        // Recording state
+        this.recording = false;
+        this.stopRequested = false;
+
+        // Frames are composed here: the WebGL canvas plus the overlay
+        this.frameCanvas = document.createElement('canvas');
+        this.frameContext = this.frameCanvas.getContext('2d');
+    }
+
+    /**
+     * Record with the current options. Resolves to { blob, filename }, or
+     * null if nothing was captured.
+     */
+    async record() {
+        if (this.recording) {
+            throw new Error('A recording is already running');
+        }
+
+        const options = { ...this.options };
+        this.recording = true;
+        this.stopRequested = false;
+        let restore = null;
+
+        try {
+            const encoding = options.format === 'webm' ? await this.findWebmEncoding(options) : null;
+            if (options.format === 'webm' && !encoding) {
+                throw new Error('This browser cannot encode WebM (WebCodecs VP9 or VP8); use the PNG format');
+            }
+            restore = this.takeOver(options);
+
+            if (options.fromStart) {
+                const start = this.game.getStartState();
+                this.game.initializeCells(start.alive, this.game.getSeed(), start.randomState);
+                this.particles.clear();
+            } else {
+                // Hand the worker the current state, dropping any tick it still has in flight
+                this.game.advance(0);
+            }
+
+            const capture = encoding
+                ? this.createWebmCapture(options, encoding)
+                : this.createPngCapture(options);
+
+            let frame = 0;
+            for (; frame < options.frames && !this.stopRequested; frame++) {
+                if (frame > 0) {
+                    this.game.advance(options.ticksPerFrame);
+                }
+                this.renderFrame(frame, options, restore.camera);
+                await capture.add(frame);
+            }
+
+            console.log(`Recorded ${frame} frames (${options.ticksPerFrame} ticks each) as ${options.format}`);
+            return frame > 0 ? await capture.finish() : null;
+        } finally {
+            if (restore) restore.run();
+            this.recording = false;
+        }
+    }
+
+    stop() {
+        this.stopRequested = true;
+    }
+
+    isRecording() {
+        return this.recording;
+    }
+
+    /**
+     * Pause the engine and hold the camera, the render size and the settle
+     * reaction (a reseed would pick a random seed) for the recording.
+     * Returns the starting camera pose and a function that puts it all back.
+     */
+    takeOver(options) {
+        const camera = this.sceneManager.getCamera();
+        const controls = this.sceneManager.getControls();
+        const paused = this.game.isPaused();
+        const settleReaction = this.game.getSettleReaction();
+        const controlsEnabled = controls.enabled;
+
+        const pose = {
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            target: controls.target.clone()
+        };
+
+        this.game.setPaused(true);
+        if (settleReaction === 'reseed') {
+            this.game.setSettleReaction('log');
+        }
+        controls.enabled = false;
+        this.frameCanvas.width = options.width;
+        this.frameCanvas.height = options.height;
+        this.sceneManager.setRenderSize(options.width, options.height);
+
+        return {
+            camera: pose,
+            run: () => {
+                camera.position.copy(pose.position);
+                camera.quaternion.copy(pose.quaternion);
+                controls.target.copy(pose.target);
+                controls.enabled = controlsEnabled;
+                this.sceneManager.handleResize();
+                this.game.setSettleReaction(settleReaction);
+                this.game.setPaused(paused);
+            }
+        };
+    }
+
+    renderFrame(frame, options, pose) {
+        this.organisms.refresh();
+        // Particles move a fixed step per frame
+        this.particles.update(1 / options.fps);
+
+        // Orbit the starting view around the vertical axis through the target
+        const camera = this.sceneManager.getCamera();
+        const angle = THREE.MathUtils.degToRad(options.orbitDegrees * frame);
+        camera.position.copy(pose.position).sub(pose.target)
+            .applyAxisAngle(new THREE.Vector3(0, 1, 0), angle)
+            .add(pose.target);
+        camera.lookAt(pose.target);
+
+        this.sceneManager.render();
+
+        // Copy right after rendering, while the WebGL drawing buffer is intact
+        const ctx = this.frameContext;
+        ctx.drawImage(this.sceneManager.getDomElement(), 0, 0, options.width, options.height);
+        if (options.overlay) {
+            this.drawOverlay(options);
+        }
+    }
+
+    drawOverlay(options) {
+        const ctx = this.frameContext;
+        const size = Math.max(12, Math.round(options.height / 36));
+        const text = `Tick ${this.game.getTickCount()}   ${this.game.getRulestring()}`;
+
+        ctx.font = `${size}px monospace`;
+        ctx.textBaseline = 'top';
+        const padding = Math.round(size / 2);
+        const width = ctx.measureText(text).width;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(padding, padding, width + padding * 2, size + padding * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, padding * 2, padding * 2);
+    }
+
+    /**
+     * First WebM encoding the browser supports at the recording size, as
+     * { config, codecId }, or null
+     */
+    async findWebmEncoding(options) {
+        if (typeof VideoEncoder === 'undefined') return null;
+        for (const { codec, codecId } of WEBM_CODECS) {
+            const config = {
+                codec,
+                width: options.width,
+                height: options.height,
+                bitrate: 8000000,
+                framerate: options.fps
+            };
+            try {
+                const { supported } = await VideoEncoder.isConfigSupported(config);
+                if (supported) return { config, codecId };
+            } catch (error) {
+                // Not a config this browser understands; try the next one
+            }
+        }
+        return null;
+    }
+
+    createWebmCapture(options, encoding) {
+        // Timestamps come from the frame number, never from the clock, so
+        // playback runs at exactly the chosen frame rate
+        const frameDuration = 1e6 / options.fps;
+        const keyframeInterval = Math.max(1, Math.round(options.fps * KEYFRAME_SECONDS));
+        const frames = [];
+        let encodeError = null;
+
+        const encoder = new VideoEncoder({
+            output: chunk => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                frames.push({ data, timestamp: chunk.timestamp, key: chunk.type === 'key' });
+            },
+            error: error => {
+                encodeError = error;
+            }
+        });
+        encoder.configure(encoding.config);
+
+        const check = () => {
+            if (encodeError) throw new Error(`WebM encoding failed: ${encodeError.message}`);
+        };
+
+        return {
+            add: async frame => {
+                check();
+                const videoFrame = new VideoFrame(this.frameCanvas, {
+                    timestamp: Math.round(frame * frameDuration),
+                    duration: Math.round(frameDuration)
+                });
+                encoder.encode(videoFrame, { keyFrame: frame % keyframeInterval === 0 });
+                videoFrame.close();
+
+                // Let the encoder catch up rather than queueing every frame
+                while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE && !encodeError) {
+                    await new Promise(resolve => encoder.addEventListener('dequeue', resolve, { once: true }));
+                }
+            },
+            finish: async () => {
+                check();
+                await encoder.flush();
+                encoder.close();
+                const bytes = createWebm(frames, {
+                    width: options.width,
+                    height: options.height,
+                    codecId: encoding.codecId,
+                    frameDuration: Math.round(frameDuration)
+                });
+                return { blob: new Blob([bytes], { type: 'video/webm' }), filename: this.getFilename('webm') };
+            }
+        };
+    }
+
+    createPngCapture() {
+        const files = [];
+        return {
+            add: async frame => {
+                const blob = await new Promise(resolve => this.frameCanvas.toBlob(resolve, 'image/png'));
+                files.push({
+                    name: `frame-${String(frame).padStart(5, '0')}.png`,
+                    data: new Uint8Array(await blob.arrayBuffer())
+                });
+            },
+            finish: async () => ({
+                blob: new Blob([createZip(files)], { type: 'application/zip' }),
+                filename: this.getFilename('zip')
+            })
+        };
+    }
+
+    getFilename(extension) {
+        return `lifeprojection-seed-${this.game.getSeed()}.${extension}`;
+    }
+
+    setOptions(options) {
+        Object.assign(this.options, options);
+    }
+
+    getOptions() {
+        return { ...this.options };
+    }
+}
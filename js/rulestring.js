@@ -0,0 +1,97 @@
+/**
+ * Rulestring
+ * Parses and formats B/S rule notation for hex Life (e.g. "B2/S34H"),
+ * with an optional Generations state count (e.g. "B2/S34/C4H")
+ */
+
+// Suffix marking a rule as hexagonal-neighborhood
+const HEX_SUFFIX = 'H';
+
+// Dying states are stored in a Uint8Array
+export const MAX_STATES = 256;
+
+function parseCounts(text, label) {
+    if (text === '') return [];
+
+    // "1,3,4" allows counts above 9; "134" is one digit per count
+    const parts = text.includes(',') ? text.split(',') : text.split('');
+    const counts = parts.map(part => {
+        const trimmed = part.trim();
+        if (!/^\d+$/.test(trimmed)) {
+            throw new Error(`Invalid ${label} count "${part}" in rulestring`);
+        }
+        return parseInt(trimmed, 10);
+    });
+
+    return normalizeCounts(counts);
+}
+
+export function normalizeCounts(counts) {
+    return Array.from(new Set(counts)).sort((a, b) => a - b);
+}
+
+/**
+ * Parse "B2/S34H", "S34/B2", "b2/s1,3,4", "B2/S34/C4H" etc. into birth and
+ * survival sets plus the number of cell states (2 unless a C section is given)
+ */
+export function parseRulestring(rulestring) {
+    if (typeof rulestring !== 'string') {
+        throw new Error('Rulestring must be a string');
+    }
+
+    let text = rulestring.trim().toUpperCase().replace(/\s+/g, '');
+    if (text.endsWith(HEX_SUFFIX)) {
+        text = text.slice(0, -HEX_SUFFIX.length);
+    }
+
+    const sections = text.split('/');
+    let birth = null;
+    let survival = null;
+    let states = null;
+
+    sections.forEach(section => {
+        const prefix = section.charAt(0);
+        const body = section.slice(1);
+        if (prefix === 'B' && birth === null) {
+            birth = parseCounts(body, 'birth');
+        } else if (prefix === 'S' && survival === null) {
+            survival = parseCounts(body, 'survival');
+        } else if ((prefix === 'C' || prefix === 'G') && states === null) {
+            if (!/^\d+$/.test(body) || parseInt(body, 10) < 2 || parseInt(body, 10) > MAX_STATES) {
+                throw new Error(`Invalid state count "${body}" in rulestring (must be 2-${MAX_STATES})`);
+            }
+            states = parseInt(body, 10);
+        } else {
+            throw new Error(`Unexpected section "${section}" in rulestring "${rulestring}"`);
+        }
+    });
+
+    if (birth === null || survival === null) {
+        throw new Error(`Rulestring "${rulestring}" needs both a B and an S section`);
+    }
+
+    return { birth, survival, states: states === null ? 2 : states };
+}
+
+function formatCounts(counts) {
+    const sorted = normalizeCounts(counts);
+    // Single digits concatenate; anything larger needs separators
+    return sorted.some(count => count > 9) ? sorted.join(',') : sorted.join('');
+}
+
+/**
+ * Canonical form: sorted, de-duplicated, birth first, state count only
+ * when above 2, hex suffix
+ */
+export function formatRulestring(birth, survival, states = 2) {
+    const generations = states > 2 ? `/C${states}` : '';
+    return `B${formatCounts(birth)}/S${formatCounts(survival)}${generations}${HEX_SUFFIX}`;
+}
+
+export function countsFromRange(min, max) {
+    const counts = [];
+    for (let count = min; count <= max; count++) {
+        counts.push(count);
+    }
+    return counts;
+}
@@ -60,6 +60,29 @@ export class SceneManager {
         this.controls.maxDistance = 1000;
         this.controls.autoRotate = false;
         this.controls.autoRotateSpeed = 0.5;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+    }
+
+    setControlsEnabled(enabled) {
+        this.controls.enabled = enabled;
+    }
+
+    /**
+     * Intersect the ray under a screen position with a sphere of the given
+     * radius at the origin. Returns the nearest hit point or null.
+     */
+    raycastSphere(clientX, clientY, radius) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const sphere = new THREE.Sphere(new THREE.Vector3(), radius);
+        return this.raycaster.ray.intersectSphere(sphere, new THREE.Vector3());
     }
 
     update(deltaTime) {
@@ -77,9 +100,23 @@ export class SceneManager {
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
 
+        this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.setSize(width, height);
     }
 
+    /**
+     * Render at a fixed pixel size regardless of the window (time-lapse
+     * recording); the canvas keeps its on-screen size. handleResize() goes
+     * back to the window size.
+     */
+    setRenderSize(width, height) {
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+    }
+
     switchTheme(themeName) {
         this.currentTheme = themeName;
         this.applyTheme(themeName);
@@ -105,6 +142,14 @@ export class SceneManager {
         return this.camera;
     }
 
+    getControls() {
+        return this.controls;
+    }
+
+    getDomElement() {
+        return this.renderer.domElement;
+    }
+
     dispose() {
         this.controls.dispose();
         this.renderer.dispose();
@@ -0,0 +1,303 @@
+/**
+ * Share Links
+ * Encodes grid, rules, RNG seed and the starting pattern into a URL hash
+ * (no Three.js dependency). Rules use the same shape as save files.
+ */
+
+import { formatRulestring, parseRulestring } from './rulestring.js';
+import { findPattern } from './patterns.js';
+import { MIN_SUBDIVISIONS, MAX_SUBDIVISIONS } from './topology.js';
+
+export const SHARE_VERSION = 1;
+
+// Longer run-length encoded patterns are left out of the link; the
+// receiver then regenerates the pattern from the seed
+export const MAX_PATTERN_LENGTH = 4000;
+
+// Seed patterns the simulation generates itself; any other name must be
+// in the pattern library
+const GENERATED_PATTERNS = ['random', 'cluster', 'ring'];
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Run-length encode an alive array: alternating dead/alive run lengths
+ * (dead first) as LEB128 varints, then base64url
+ */
+export function encodePattern(alive) {
+    const bytes = [];
+    const pushVarint = value => {
+        while (value >= 0x80) {
+            bytes.push((value & 0x7f) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+    };
+
+    let current = 0;
+    let run = 0;
+    for (let i = 0; i < alive.length; i++) {
+        const value = alive[i] ? 1 : 0;
+        if (value !== current) {
+            pushVarint(run);
+            current = value;
+            run = 0;
+        }
+        run++;
+    }
+    pushVarint(run);
+
+    return toBase64Url(Uint8Array.from(bytes));
+}
+
+export function decodePattern(text, cellCount) {
+    let bytes;
+    try {
+        bytes = fromBase64Url(text);
+    } catch (error) {
+        throw new Error('Share link pattern is not valid base64url');
+    }
+
+    const alive = new Uint8Array(cellCount);
+    let index = 0;
+    let current = 0;
+    let i = 0;
+    while (i < bytes.length) {
+        let run = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = bytes[i++];
+            run += (byte & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80 && i < bytes.length);
+
+        if (index + run > cellCount) {
+            throw new Error(`Share link pattern covers more than the grid's ${cellCount} cells`);
+        }
+        if (current) {
+            alive.fill(1, index, index + run);
+        }
+        index += run;
+        current ^= 1;
+    }
+
+    if (index !== cellCount) {
+        throw new Error(`Share link pattern covers ${index} cells, the grid has ${cellCount}`);
+    }
+    return alive;
+}
+
+// Like URLSearchParams.toString(), but keeps , / : ; readable
+function formatParams(params) {
+    return Array.from(params, ([key, value]) => {
+        const encoded = encodeURIComponent(value).replace(/%(2C|2F|3A|3B)/g, match => decodeURIComponent(match));
+        return `${key}=${encoded}`;
+    }).join('&');
+}
+
+function flag(value) {
+    return value ? '1' : '0';
+}
+
+/**
+ * Build the hash (without '#') for { sphere, seed, placement, rules, start },
+ * where placement is LifeSimulation.getPatternPlacement() and start is
+ * LifeSimulation.getStartState(). Returns the hash and whether the pattern
+ * fit.
+ */
+export function encodeShareHash({ sphere, seed, placement, rules, start }) {
+    const { survivalRules, birthRules, deathRules, generationsRules, neighborhoodRules,
+        continuousRules, pentagonRules, speciesRules } = rules;
+
+    const params = new URLSearchParams();
+    params.set('v', SHARE_VERSION);
+    params.set('grid', `${sphere.radius},${sphere.subdivisions}`);
+    params.set('seed', `${seed.seed},${seed.pattern},${seed.density}`);
+    params.set('place', [placement.anchor, placement.rotation, flag(placement.mirror), placement.pentagonPolicy].join(','));
+    params.set('rule', formatRulestring(birthRules.neighbors, survivalRules.neighbors, generationsRules.states));
+    params.set('mode', rules.mode);
+    params.set('prob', [flag(survivalRules.probabilityEnabled), survivalRules.probability,
+        flag(birthRules.probabilityEnabled), birthRules.probability].join(','));
+    params.set('death', [flag(deathRules.ageDeathEnabled), deathRules.ageDeathThreshold, deathRules.ageDeathRate,
+        flag(deathRules.suddenDeathEnabled), deathRules.suddenDeathProbability].join(','));
+    params.set('nb', [neighborhoodRules.radius, neighborhoodRules.weights.join(':'),
+        neighborhoodRules.birthRange.min, neighborhoodRules.birthRange.max,
+        neighborhoodRules.survivalRange.min, neighborhoodRules.survivalRange.max].join(','));
+    params.set('lenia', [continuousRules.kernelRadius, continuousRules.growthMean,
+        continuousRules.growthWidth, continuousRules.dt].join(','));
+    params.set('pent', pentagonRules.mode);
+    params.set('species', [speciesRules.count, speciesRules.birthMode,
+        speciesRules.rulestrings.map(rulestring => rulestring || '').join(';').replace(/;+$/, '')].join(','));
+
+    const pattern = encodePattern(start.alive);
+    const includesPattern = pattern.length <= MAX_PATTERN_LENGTH;
+    if (includesPattern) {
+        params.set('rng', start.randomState);
+        params.set('cells', pattern);
+    }
+
+    return { hash: formatParams(params), includesPattern };
+}
+
+function readNumbers(params, key, count) {
+    const text = params.get(key);
+    if (text === null) {
+        throw new Error(`Share link is missing "${key}"`);
+    }
+    const values = text.split(',');
+    if (values.length !== count) {
+        throw new Error(`Share link "${key}" needs ${count} values, got ${values.length}`);
+    }
+    return values.map(value => {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) {
+            throw new Error(`Share link "${key}" has a non-numeric value "${value}"`);
+        }
+        return number;
+    });
+}
+
+function readChoice(params, key, choices) {
+    const value = params.get(key);
+    if (!choices.includes(value)) {
+        throw new Error(`Share link "${key}" must be one of ${choices.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Parse a location hash. Returns null when the hash holds no share link,
+ * otherwise { sphere, seed, placement (null if the link has none), rules,
+ * cells (Uint8Array or null), randomState }.
+ * Throws an Error describing the first malformed value.
+ */
+export function decodeShareHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('v')) return null;
+
+    const version = Number(params.get('v'));
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Share link version "${params.get('v')}" is not a positive integer`);
+    }
+    if (version > SHARE_VERSION) {
+        throw new Error(`Share link version ${version} is newer than this app supports (${SHARE_VERSION})`);
+    }
+
+    const [radius, subdivisions] = readNumbers(params, 'grid', 2);
+    if (!(radius > 0) || !Number.isInteger(subdivisions) || subdivisions < MIN_SUBDIVISIONS || subdivisions > MAX_SUBDIVISIONS) {
+        throw new Error(`Share link has an invalid grid (radius ${radius}, subdivisions ${subdivisions}; ${MIN_SUBDIVISIONS} to ${MAX_SUBDIVISIONS})`);
+    }
+
+    const seedParts = (params.get('seed') || '').split(',');
+    if (seedParts.length !== 3 || !/^\d+$/.test(seedParts[0])) {
+        throw new Error('Share link "seed" must be seed,pattern,density');
+    }
+    const pattern = seedParts[1];
+    if (!GENERATED_PATTERNS.includes(pattern) && !findPattern(pattern)) {
+        throw new Error(`Share link "seed" has an unknown pattern "${pattern}"`);
+    }
+    const density = Number(seedParts[2]);
+    if (seedParts[2].trim() === '' || !Number.isFinite(density) || density < 0 || density > 1) {
+        throw new Error(`Share link "seed" has an invalid density "${seedParts[2]}" (expected 0 to 1)`);
+    }
+    const seed = {
+        seed: Number(seedParts[0]) >>> 0,
+        pattern,
+        density
+    };
+
+    // Links made before placement was encoded leave it as it is
+    let placement = null;
+    if (params.has('place')) {
+        const placeParts = params.get('place').split(',');
+        const [anchor, rotation, mirror] = placeParts.slice(0, 3).map(part => (part === '' ? NaN : Number(part)));
+        if (placeParts.length !== 4 || !Number.isInteger(anchor) || anchor < -1 ||
+            !Number.isInteger(rotation) || rotation < 0 || rotation > 5 || (mirror !== 0 && mirror !== 1) ||
+            !['clip', 'reject'].includes(placeParts[3])) {
+            throw new Error('Share link "place" must be anchor,rotation (0-5),mirror (0/1),clip|reject');
+        }
+        placement = { anchor, rotation, mirror: mirror === 1, pentagonPolicy: placeParts[3] };
+    }
+
+    const { birth, survival, states } = parseRulestring(params.get('rule') || '');
+    const [survivalEnabled, survivalProbability, birthEnabled, birthProbability] = readNumbers(params, 'prob', 4);
+    const [ageEnabled, ageThreshold, ageRate, suddenEnabled, suddenProbability] = readNumbers(params, 'death', 5);
+    const [kernelRadius, growthMean, growthWidth, dt] = readNumbers(params, 'lenia', 4);
+    [['survival', survivalProbability], ['birth', birthProbability], ['sudden death', suddenProbability]].forEach(([name, probability]) => {
+        if (probability < 0 || probability > 1) {
+            throw new Error(`Share link ${name} probability ${probability} is outside 0 to 1`);
+        }
+    });
+
+    const nbParts = (params.get('nb') || '').split(',');
+    if (nbParts.length !== 6) {
+        throw new Error('Share link "nb" must be radius,weights,birthMin,birthMax,survivalMin,survivalMax');
+    }
+    const [nbRadius, nbBirthMin, nbBirthMax, nbSurvivalMin, nbSurvivalMax] =
+        [nbParts[0], ...nbParts.slice(2)].map(Number);
+    const weights = nbParts[1].split(':').map(Number);
+    if ([nbRadius, nbBirthMin, nbBirthMax, nbSurvivalMin, nbSurvivalMax, ...weights].some(value => !Number.isFinite(value))) {
+        throw new Error('Share link "nb" has a non-numeric value');
+    }
+
+    const speciesText = params.get('species') || '';
+    const firstComma = speciesText.indexOf(',');
+    const secondComma = speciesText.indexOf(',', firstComma + 1);
+    if (firstComma < 0 || secondComma < 0) {
+        throw new Error('Share link "species" must be count,birthMode,rulestrings');
+    }
+    const speciesBirthMode = speciesText.slice(firstComma + 1, secondComma);
+    if (!['majority', 'weighted'].includes(speciesBirthMode)) {
+        throw new Error('Share link species birth mode must be majority or weighted');
+    }
+
+    const rules = {
+        mode: readChoice(params, 'mode', ['discrete', 'continuous']),
+        survivalRules: { neighbors: survival, probabilityEnabled: survivalEnabled === 1, probability: survivalProbability },
+        birthRules: { neighbors: birth, probabilityEnabled: birthEnabled === 1, probability: birthProbability },
+        deathRules: {
+            ageDeathEnabled: ageEnabled === 1,
+            ageDeathThreshold: ageThreshold,
+            ageDeathRate: ageRate,
+            suddenDeathEnabled: suddenEnabled === 1,
+            suddenDeathProbability: suddenProbability
+        },
+        generationsRules: { states },
+        neighborhoodRules: {
+            radius: nbRadius,
+            weights,
+            birthRange: { min: nbBirthMin, max: nbBirthMax },
+            survivalRange: { min: nbSurvivalMin, max: nbSurvivalMax }
+        },
+        continuousRules: { kernelRadius, growthMean, growthWidth, dt },
+        pentagonRules: { mode: readChoice(params, 'pent', ['same', 'scaled', 'dead']) },
+        speciesRules: {
+            count: Number(speciesText.slice(0, firstComma)) || 1,
+            birthMode: speciesBirthMode,
+            rulestrings: speciesText.slice(secondComma + 1).split(';').map(rulestring => rulestring || null)
+        }
+    };
+
+    // Hexasphere always produces 10 * s^2 + 2 tiles
+    const cellCount = 10 * subdivisions * subdivisions + 2;
+    const cells = params.has('cells') ? decodePattern(params.get('cells'), cellCount) : null;
+    const randomState = params.has('rng') ? Number(params.get('rng')) >>> 0 : null;
+
+    return { sphere: { radius, subdivisions }, seed, placement, rules, cells, randomState };
+}
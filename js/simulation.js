@@ -0,0 +1,1071 @@
+/**
+ * Life Simulation
+ * Headless hex Game of Life core - runs without Three.js or the DOM
+ * so it can be used from workers, Node scripts and tests
+ */
+
+import { SeededRandom } from './random.js';
+import { buildRingNeighborhood, buildNeighborRings } from './topology.js';
+import { findPattern, transformCells, placeCells } from './patterns.js';
+import { parseRulestring, formatRulestring, normalizeCounts, countsFromRange, MAX_STATES } from './rulestring.js';
+
+// Species ids are stored in a Uint8Array; the UI palette has 8 colors
+export const MAX_SPECIES = 8;
+
+export class LifeSimulation {
+    constructor(tiles = [], adjacency = { offsets: new Int32Array(1), indices: new Int32Array(0) }) {
+        this.tiles = tiles;
+        this.adjacency = adjacency; // CSR table from buildAdjacency()
+
+        // Cell states (typed arrays, double buffered - see allocateState())
+        this.cellCount = 0;
+        this.alive = new Uint8Array(0);
+        this.age = new Uint32Array(0);
+        this.stabilityCounter = new Uint32Array(0);
+        this.nextAlive = new Uint8Array(0);
+        this.nextAge = new Uint32Array(0);
+        this.nextStabilityCounter = new Uint32Array(0);
+        // Generations refractory state: 0 = not dying, 1..states-2 = dying
+        this.decay = new Uint8Array(0);
+        this.nextDecay = new Uint8Array(0);
+        // Species id of each alive cell (0..speciesRules.count - 1)
+        this.species = new Uint8Array(0);
+        this.nextSpecies = new Uint8Array(0);
+        // Continuous mode level in [0, 1]
+        this.level = new Float32Array(0);
+        this.nextLevel = new Float32Array(0);
+        this.tickCount = 0;
+
+        // Where initialize() stamps library patterns: anchor tile (-1 picks a
+        // random hexagon), rotation in 60 degree steps, mirror, and 'clip' or
+        // 'reject' for stamps that run into a pentagon (see placeCells())
+        this.patternPlacement = {
+            anchor: -1,
+            rotation: 0,
+            mirror: false,
+            pentagonPolicy: 'clip'
+        };
+        // Counter-clockwise neighbor order, built on the first stamp
+        this.neighborRings = null;
+
+        // Alive pattern right after seeding, see getStartState()
+        this.startAlive = new Uint8Array(0);
+        this.startRandomState = 0;
+
+        // 'discrete' - B/S (or ring range) rules on alive/dead cells
+        // 'continuous' - Lenia-style levels, see continuousRules
+        this.mode = 'discrete';
+
+        // The 12 five-neighbor pentagon tiles Hexasphere always produces
+        this.isPentagon = new Uint8Array(0);
+        this.pentagonIndices = [];
+
+        // Extended (multi-ring) neighborhood, built from the adjacency on
+        // demand - see rebuildNeighborhood()
+        this.neighborhood = null;
+        this.neighborhoodWeights = new Float32Array(0);
+        this.pentagonWeightScale = new Float32Array(0);
+
+        // Continuous mode convolution kernel (ring neighborhood + weights)
+        this.kernel = null;
+        this.kernelWeights = new Float32Array(0);
+
+        // Every stochastic choice (seeding and rules) draws from this PRNG,
+        // so the same seed and parameters give bit-identical runs
+        this.random = new SeededRandom();
+
+        // Survival and birth rules (probability-based)
+        // Neighbor counts are arbitrary sets, e.g. B2/S34H
+        this.survivalRules = {
+            neighbors: [2, 3],
+            probabilityEnabled: false,
+            probability: 1.0 // Probability of survival when neighbor count is in range
+        };
+
+        this.birthRules = {
+            neighbors: [2],
+            probabilityEnabled: false,
+            probability: 1.0 // Probability of birth when neighbor count is in range
+        };
+
+        // Generations rules: with more than 2 states a cell that fails
+        // survival passes through states-2 dying (refractory) states before
+        // it is dead again. Dying cells are not counted as neighbors and
+        // cannot be born. 2 states is plain Life.
+        this.generationsRules = {
+            states: 2
+        };
+
+        // Neighborhood rules: radius 1 applies the B/S sets to the immediate
+        // neighbors. Larger radii (Larger-than-Life style) sum the alive cells
+        // in every ring out to the radius, weighted per ring, and compare the
+        // sum against the birth and survival ranges (inclusive).
+        this.neighborhoodRules = {
+            radius: 1,
+            weights: [1, 1], // weight per ring, ring 1 first (missing rings weigh 1)
+            birthRange: { min: 3, max: 4 },
+            survivalRange: { min: 3, max: 6 }
+        };
+
+        // Species rules: with more than one species a newborn takes the
+        // species of its neighbors - the majority (ties broken at random) or
+        // a random pick weighted by neighbor count. overrides[s] optionally
+        // holds a { birth, survival } set pair for species s (radius 1 only).
+        // Continuous mode ignores species.
+        this.speciesRules = {
+            count: 1,
+            birthMode: 'majority',
+            overrides: []
+        };
+        this.speciesCounts = new Float64Array(MAX_SPECIES);
+
+        // Continuous (Lenia-style) rules: the potential of a tile is a
+        // normalized, ring-weighted average of the levels out to kernelRadius
+        // rings; growth is a Gaussian bump 2 * exp(-(u - mean)^2 / (2 width^2)) - 1
+        // and each step adds dt * growth. Tiles at or above aliveThreshold
+        // count as alive for organisms and stats. Probability and death rules
+        // only apply to discrete mode.
+        this.continuousRules = {
+            kernelRadius: 3,
+            growthMean: 0.15,
+            growthWidth: 0.015,
+            dt: 0.1,
+            aliveThreshold: 0.1
+        };
+
+        // Pentagon rules
+        // 'same' - use the hex rule as is
+        // 'scaled' - scale the pentagon's neighbor count by 6/5 before lookup
+        //            (extended neighborhoods: by the hex-to-pentagon weight ratio)
+        // 'dead' - pentagons are always dead
+        this.pentagonRules = {
+            mode: 'same'
+        };
+
+        // Death rules
+        this.deathRules = {
+            ageDeathEnabled: false,
+            ageDeathRate: 0.01, // Exponential rate parameter (lambda)
+            ageDeathThreshold: 100, // Age at which exponential death starts
+            suddenDeathEnabled: false,
+            suddenDeathProbability: 0.001 // Per-tick probability of sudden death
+        };
+
+        this.detectPentagons();
+        this.rebuildNeighborhood();
+    }
+
+    setTopology(tiles, adjacency) {
+        // Reseeds pass the same grid again; keep what was built for it
+        if (tiles === this.tiles && adjacency === this.adjacency) return;
+
+        this.tiles = tiles;
+        this.adjacency = adjacency;
+        this.neighborhood = null;
+        this.kernel = null;
+        this.neighborRings = null;
+        this.detectPentagons();
+        this.rebuildNeighborhood();
+        this.rebuildKernel();
+    }
+
+    rebuildNeighborhood() {
+        const radius = this.neighborhoodRules.radius;
+        if (radius <= 1) {
+            this.neighborhood = null;
+            return;
+        }
+        if (!this.neighborhood || this.neighborhood.radius !== radius) {
+            this.neighborhood = buildRingNeighborhood(this.adjacency, radius);
+        }
+        this.updateNeighborhoodWeights();
+    }
+
+    rebuildKernel() {
+        if (this.mode !== 'continuous') return;
+
+        const radius = this.continuousRules.kernelRadius;
+        if (!this.kernel || this.kernel.radius !== radius) {
+            this.kernel = buildRingNeighborhood(this.adjacency, radius);
+        }
+
+        // Smooth bump over the rings, normalized per tile so pentagon
+        // neighborhoods (fewer tiles) still sum to 1
+        const { offsets, rings } = this.kernel;
+        const bump = x => Math.exp(4 - 1 / (x * (1 - x)));
+        this.kernelWeights = new Float32Array(rings.length);
+        for (let tile = 0; tile < offsets.length - 1; tile++) {
+            let total = 0;
+            for (let j = offsets[tile]; j < offsets[tile + 1]; j++) {
+                this.kernelWeights[j] = bump((rings[j] - 0.5) / radius);
+                total += this.kernelWeights[j];
+            }
+            for (let j = offsets[tile]; j < offsets[tile + 1]; j++) {
+                this.kernelWeights[j] = total > 0 ? this.kernelWeights[j] / total : 0;
+            }
+        }
+    }
+
+    getRingWeight(ring) {
+        const weight = this.neighborhoodRules.weights[ring - 1];
+        return weight === undefined ? 1 : weight;
+    }
+
+    updateNeighborhoodWeights() {
+        const { offsets, rings, radius } = this.neighborhood;
+        this.neighborhoodWeights = new Float32Array(rings.length);
+        for (let j = 0; j < rings.length; j++) {
+            this.neighborhoodWeights[j] = this.getRingWeight(rings[j]);
+        }
+
+        // A full hex neighborhood has 6r tiles in ring r; pentagons have fewer,
+        // so 'scaled' pentagon mode multiplies their sum by the weight ratio
+        let hexWeight = 0;
+        for (let ring = 1; ring <= radius; ring++) {
+            hexWeight += 6 * ring * this.getRingWeight(ring);
+        }
+        this.pentagonWeightScale = new Float32Array(offsets.length - 1);
+        this.pentagonIndices.forEach(index => {
+            let pentagonWeight = 0;
+            for (let j = offsets[index]; j < offsets[index + 1]; j++) {
+                pentagonWeight += this.neighborhoodWeights[j];
+            }
+            this.pentagonWeightScale[index] = pentagonWeight > 0 ? hexWeight / pentagonWeight : 1;
+        });
+    }
+
+    detectPentagons() {
+        // Same as tile.neighborIds.length === 5
+        const { offsets } = this.adjacency;
+        const tileCount = offsets.length - 1;
+        this.isPentagon = new Uint8Array(tileCount);
+        this.pentagonIndices = [];
+        for (let i = 0; i < tileCount; i++) {
+            if (offsets[i + 1] - offsets[i] === 5) {
+                this.isPentagon[i] = 1;
+                this.pentagonIndices.push(i);
+            }
+        }
+    }
+
+    allocateState() {
+        const n = this.tiles.length;
+        this.cellCount = n;
+        this.alive = new Uint8Array(n);
+        this.age = new Uint32Array(n);
+        this.stabilityCounter = new Uint32Array(n);
+        // Back buffers: written during step(), then swapped with the front
+        // buffers, so after a step they hold the previous generation
+        this.nextAlive = new Uint8Array(n);
+        this.nextAge = new Uint32Array(n);
+        this.nextStabilityCounter = new Uint32Array(n);
+        this.decay = new Uint8Array(n);
+        this.nextDecay = new Uint8Array(n);
+        this.species = new Uint8Array(n);
+        this.nextSpecies = new Uint8Array(n);
+        this.level = new Float32Array(n);
+        this.nextLevel = new Float32Array(n);
+    }
+
+    initialize(seedPattern = 'random', density = 0.2, seed = this.random.getSeed()) {
+        this.random.setSeed(seed);
+        this.allocateState();
+
+        // Apply seed pattern
+        switch (seedPattern) {
+            case 'random':
+                this.seedRandom(density);
+                break;
+            case 'cluster':
+                this.seedCluster();
+                break;
+            case 'ring':
+                this.seedRing();
+                break;
+            default:
+                if (findPattern(seedPattern)) {
+                    this.seedLibraryPattern(seedPattern);
+                } else {
+                    this.seedRandom(density);
+                }
+        }
+
+        this.finishSeeding();
+    }
+
+    /**
+     * Start from a given alive pattern instead of a seed pattern (e.g. from
+     * a share link). With the randomState recorded after the original
+     * pattern was seeded, species and levels come out identical too.
+     */
+    initializeCells(cells, seed = this.random.getSeed(), randomState = null) {
+        this.random.setSeed(seed);
+        this.allocateState();
+        this.alive.set(cells.subarray(0, this.cellCount));
+        if (randomState !== null) {
+            this.random.setState(randomState);
+        }
+        this.finishSeeding();
+    }
+
+    finishSeeding() {
+        if (this.pentagonRules.mode === 'dead') {
+            this.pentagonIndices.forEach(index => {
+                this.alive[index] = 0;
+            });
+        }
+
+        // Starting pattern, kept for share links
+        this.startAlive = this.alive.slice();
+        this.startRandomState = this.random.getState();
+
+        this.seedSpecies();
+
+        if (this.mode === 'continuous') {
+            this.seedLevels();
+        }
+
+        this.tickCount = 0;
+    }
+
+    seedSpecies() {
+        if (this.speciesRules.count <= 1) return;
+
+        for (let i = 0; i < this.cellCount; i++) {
+            if (this.alive[i]) {
+                this.species[i] = this.random.nextInt(this.speciesRules.count);
+            }
+        }
+    }
+
+    seedLevels() {
+        // Seeded cells start at a random level in [0.5, 1)
+        for (let i = 0; i < this.cellCount; i++) {
+            this.level[i] = this.alive[i] ? 0.5 + 0.5 * this.random.next() : 0;
+        }
+        this.updateAliveFromLevels(this.level, this.alive);
+    }
+
+    updateAliveFromLevels(level, alive) {
+        const threshold = this.continuousRules.aliveThreshold;
+        for (let i = 0; i < this.cellCount; i++) {
+            alive[i] = level[i] >= threshold ? 1 : 0;
+        }
+    }
+
+    seedRandom(density) {
+        for (let i = 0; i < this.cellCount; i++) {
+            this.alive[i] = this.random.next() < density ? 1 : 0;
+        }
+    }
+
+    seedCluster() {
+        // Create a few random clusters
+        const { offsets, indices } = this.adjacency;
+        const clusterCount = 5;
+        for (let i = 0; i < clusterCount; i++) {
+            const centerIndex = this.random.nextInt(this.cellCount);
+            this.alive[centerIndex] = 1;
+
+            // Activate neighbors
+            for (let j = offsets[centerIndex]; j < offsets[centerIndex + 1]; j++) {
+                this.alive[indices[j]] = 1;
+            }
+        }
+    }
+
+    seedRing() {
+        // Create a ring around the equator
+        this.tiles.forEach((tile, index) => {
+            const { x, y, z } = tile.centerPoint;
+            const radius = Math.sqrt(x * x + y * y + z * z);
+            // Ring at equator with some tolerance
+            if (Math.abs(y) < radius * 0.1) {
+                this.alive[index] = 1;
+            }
+        });
+    }
+
+    seedLibraryPattern(name) {
+        const { anchor, rotation, mirror, pentagonPolicy } = this.patternPlacement;
+        const tile = anchor >= 0 && anchor < this.cellCount ? anchor : this.pickRandomHexagon();
+        if (tile < 0) {
+            throw new Error(`No hexagon tile to anchor pattern "${name}" on`);
+        }
+        const result = this.placePattern(name, tile, rotation, mirror, pentagonPolicy);
+        result.tiles.forEach(index => {
+            this.alive[index] = 1;
+        });
+    }
+
+    // Random hexagon tile, or -1 if the grid has none
+    pickRandomHexagon() {
+        if (this.isPentagon.every(flag => flag)) return -1;
+        let tile;
+        do {
+            tile = this.random.nextInt(this.cellCount);
+        } while (this.isPentagon[tile]);
+        return tile;
+    }
+
+    /**
+     * Tiles a library pattern covers when anchored on tileIndex, as
+     * { tiles, dropped, rejected } (see placeCells())
+     */
+    placePattern(name, tileIndex, rotation = 0, mirror = false, pentagonPolicy = this.patternPlacement.pentagonPolicy) {
+        const pattern = findPattern(name);
+        if (!pattern) {
+            throw new Error(`Unknown pattern "${name}"`);
+        }
+        if (!this.neighborRings) {
+            this.neighborRings = buildNeighborRings(this.tiles, this.adjacency);
+        }
+
+        const cells = transformCells(pattern.cells, rotation, mirror);
+        const result = placeCells(this.neighborRings, this.isPentagon, cells, tileIndex, pentagonPolicy);
+        if (result.dropped > 0) {
+            console.warn(`Pattern "${name}" at tile ${tileIndex}: ${result.dropped} cell(s) hit a pentagon` +
+                (result.rejected ? ', stamp rejected' : ', clipped'));
+        }
+        return result;
+    }
+
+    /**
+     * Add a library pattern to the current generation. Stamped cells are
+     * newborn; returns the placePattern() result.
+     */
+    stampPattern(name, tileIndex, rotation = 0, mirror = false) {
+        const result = this.placePattern(name, tileIndex, rotation, mirror);
+        this.setCells(result.tiles, true);
+        return result;
+    }
+
+    /**
+     * Edit the current generation: set the given tiles alive (newborn) or
+     * dead. Pentagons stay dead in 'dead' pentagon mode.
+     */
+    setCells(tileIndices, alive) {
+        tileIndices.forEach(index => {
+            if (alive && this.pentagonRules.mode === 'dead' && this.isPentagon[index]) return;
+            if (alive && this.alive[index]) return;
+
+            this.alive[index] = alive ? 1 : 0;
+            this.age[index] = 0;
+            this.stabilityCounter[index] = 0;
+            this.decay[index] = 0;
+            this.level[index] = alive ? 1 : 0;
+            if (alive && this.speciesRules.count > 1) {
+                this.species[index] = this.random.nextInt(this.speciesRules.count);
+            }
+        });
+    }
+
+    buildCountTable(neighbors) {
+        // Lookup table indexed by neighbor count (1 = rule applies)
+        const table = new Uint8Array(Math.max(0, ...neighbors) + 1);
+        neighbors.forEach(count => {
+            table[count] = 1;
+        });
+        return table;
+    }
+
+    buildPentagonTable(hexTable) {
+        // Pentagon count n reads the hex table at the proportional count n * 6/5
+        const table = new Uint8Array(6);
+        for (let count = 0; count <= 5; count++) {
+            table[count] = hexTable[Math.round(count * 6 / 5)] || 0;
+        }
+        return table;
+    }
+
+    step() {
+        if (this.mode === 'continuous') {
+            this.stepContinuous();
+        } else {
+            this.stepDiscrete();
+        }
+
+        this.swapBuffers();
+        this.tickCount++;
+    }
+
+    stepContinuous() {
+        const { offsets, indices } = this.kernel;
+        const weights = this.kernelWeights;
+        const { growthMean, growthWidth, dt, aliveThreshold } = this.continuousRules;
+        const twoWidthSquared = 2 * growthWidth * growthWidth;
+        const deadPentagons = this.pentagonRules.mode === 'dead';
+
+        const level = this.level;
+        const nextLevel = this.nextLevel;
+        const age = this.age;
+        const stability = this.stabilityCounter;
+
+        for (let i = 0; i < this.cellCount; i++) {
+            let value = 0;
+            if (!(deadPentagons && this.isPentagon[i])) {
+                let potential = 0;
+                for (let j = offsets[i]; j < offsets[i + 1]; j++) {
+                    potential += weights[j] * level[indices[j]];
+                }
+                const delta = potential - growthMean;
+                const growth = 2 * Math.exp(-(delta * delta) / twoWidthSquared) - 1;
+                value = Math.min(1, Math.max(0, level[i] + dt * growth));
+            }
+            nextLevel[i] = value;
+
+            const wasAlive = this.alive[i] === 1;
+            const isAlive = value >= aliveThreshold;
+            this.nextAlive[i] = isAlive ? 1 : 0;
+            this.nextAge[i] = isAlive ? age[i] + 1 : 0;
+            this.nextStabilityCounter[i] = isAlive && wasAlive ? stability[i] + 1 : 0;
+            this.nextDecay[i] = 0;
+        }
+    }
+
+    buildRuleTables(survivalNeighbors, birthNeighbors) {
+        const survival = this.buildCountTable(survivalNeighbors);
+        const birth = this.buildCountTable(birthNeighbors);
+        const scaled = this.pentagonRules.mode === 'scaled';
+        return {
+            survival,
+            birth,
+            pentagonSurvival: scaled ? this.buildPentagonTable(survival) : survival,
+            pentagonBirth: scaled ? this.buildPentagonTable(birth) : birth
+        };
+    }
+
+    chooseBirthSpecies(tileIndex, offsets, indices, weights) {
+        const counts = this.speciesCounts;
+        counts.fill(0);
+        let total = 0;
+        for (let j = offsets[tileIndex]; j < offsets[tileIndex + 1]; j++) {
+            const neighbor = indices[j];
+            if (this.alive[neighbor]) {
+                const weight = weights ? weights[j] : 1;
+                counts[this.species[neighbor]] += weight;
+                total += weight;
+            }
+        }
+
+        const speciesCount = this.speciesRules.count;
+        if (this.speciesRules.birthMode === 'weighted' && total > 0) {
+            let pick = this.random.next() * total;
+            for (let s = 0; s < speciesCount; s++) {
+                pick -= counts[s];
+                if (pick < 0) return s;
+            }
+            return speciesCount - 1;
+        }
+
+        // Majority, ties broken uniformly at random (reservoir pick)
+        let best = 0;
+        let bestCount = 0;
+        let ties = 0;
+        for (let s = 0; s < speciesCount; s++) {
+            if (counts[s] > bestCount) {
+                best = s;
+                bestCount = counts[s];
+                ties = 1;
+            } else if (counts[s] === bestCount && bestCount > 0) {
+                ties++;
+                if (this.random.nextInt(ties) === 0) best = s;
+            }
+        }
+        return best;
+    }
+
+    stepDiscrete() {
+        const pentagonMode = this.pentagonRules.mode;
+        const isPentagon = this.isPentagon;
+        const dyingStates = Math.max(0, this.generationsRules.states - 2);
+
+        // Rule tables per species (overrides fall back to the shared rule)
+        const speciesCount = this.speciesRules.count;
+        const defaultTables = this.buildRuleTables(this.survivalRules.neighbors, this.birthRules.neighbors);
+        const speciesTables = [];
+        for (let s = 0; s < speciesCount; s++) {
+            const override = this.speciesRules.overrides[s];
+            speciesTables.push(override
+                ? this.buildRuleTables(override.survival, override.birth)
+                : defaultTables);
+        }
+
+        // Extended neighborhoods compare a weighted sum against ranges
+        const extended = this.neighborhood !== null;
+        const { offsets, indices } = extended ? this.neighborhood : this.adjacency;
+        const weights = this.neighborhoodWeights;
+        const { birthRange, survivalRange } = this.neighborhoodRules;
+
+        const alive = this.alive;
+        const age = this.age;
+        const stability = this.stabilityCounter;
+        const species = this.species;
+        const nextAlive = this.nextAlive;
+        const nextAge = this.nextAge;
+        const nextStability = this.nextStabilityCounter;
+        const nextSpecies = this.nextSpecies;
+        const decay = this.decay;
+        const nextDecay = this.nextDecay;
+
+        for (let i = 0; i < this.cellCount; i++) {
+            // Dying cells just advance towards dead
+            if (decay[i] > 0) {
+                nextAlive[i] = 0;
+                nextAge[i] = 0;
+                nextStability[i] = 0;
+                nextSpecies[i] = species[i];
+                nextDecay[i] = decay[i] < dyingStates && !(isPentagon[i] && pentagonMode === 'dead')
+                    ? decay[i] + 1
+                    : 0;
+                continue;
+            }
+
+            if (isPentagon[i] && pentagonMode === 'dead') {
+                nextAlive[i] = 0;
+                nextAge[i] = 0;
+                nextStability[i] = 0;
+                nextSpecies[i] = 0;
+                nextDecay[i] = 0;
+                continue;
+            }
+
+            const wasAlive = alive[i] === 1;
+            let inRule;
+            let neighborTotal;
+            if (extended) {
+                let sum = 0;
+                for (let j = offsets[i]; j < offsets[i + 1]; j++) {
+                    if (alive[indices[j]]) sum += weights[j];
+                }
+                if (isPentagon[i] && pentagonMode === 'scaled') {
+                    sum *= this.pentagonWeightScale[i];
+                }
+                neighborTotal = sum;
+                const range = wasAlive ? survivalRange : birthRange;
+                inRule = sum >= range.min && sum <= range.max;
+            } else {
+                let neighborCount = 0;
+                for (let j = offsets[i]; j < offsets[i + 1]; j++) {
+                    neighborCount += alive[indices[j]];
+                }
+                neighborTotal = neighborCount;
+                inRule = null; // decided below once the species is known
+            }
+
+            // Newborns take their species from the neighbors
+            let cellSpecies = wasAlive ? species[i] : 0;
+            if (!wasAlive && speciesCount > 1 && neighborTotal > 0) {
+                cellSpecies = this.chooseBirthSpecies(i, offsets, indices, extended ? weights : null);
+            }
+
+            if (inRule === null) {
+                // A lone dead cell has no species yet, so it uses the shared rule
+                const hasSpecies = wasAlive || neighborTotal > 0 || speciesCount <= 1;
+                const tables = (hasSpecies && speciesTables[cellSpecies]) || defaultTables;
+                const table = isPentagon[i]
+                    ? (wasAlive ? tables.pentagonSurvival : tables.pentagonBirth)
+                    : (wasAlive ? tables.survival : tables.birth);
+                inRule = table[neighborTotal] === 1;
+            }
+
+            const isAlive = wasAlive
+                ? this.applySurvival(age[i], inRule)
+                : this.applyBirth(inRule);
+
+            if (isAlive) {
+                nextAlive[i] = 1;
+                nextAge[i] = age[i] + 1;
+                nextStability[i] = wasAlive ? stability[i] + 1 : 0;
+                nextSpecies[i] = cellSpecies;
+                nextDecay[i] = 0;
+            } else {
+                nextAlive[i] = 0;
+                nextAge[i] = 0;
+                nextStability[i] = 0;
+                // Dying cells keep their species so they can be drawn
+                nextSpecies[i] = wasAlive ? species[i] : 0;
+                // A cell that fails survival enters the first dying state
+                nextDecay[i] = wasAlive && dyingStates > 0 ? 1 : 0;
+            }
+        }
+    }
+
+    swapBuffers() {
+        [this.alive, this.nextAlive] = [this.nextAlive, this.alive];
+        [this.age, this.nextAge] = [this.nextAge, this.age];
+        [this.stabilityCounter, this.nextStabilityCounter] = [this.nextStabilityCounter, this.stabilityCounter];
+        [this.decay, this.nextDecay] = [this.nextDecay, this.decay];
+        [this.species, this.nextSpecies] = [this.nextSpecies, this.species];
+        if (this.mode === 'continuous') {
+            [this.level, this.nextLevel] = [this.nextLevel, this.level];
+        }
+    }
+
+    /**
+     * Adopt cell buffers stepped elsewhere (the simulation worker) or kept
+     * in history. The current front buffers become the back buffers, as
+     * after a local step.
+     */
+    loadState(state) {
+        if (state.alive.length !== this.cellCount) {
+            console.warn(`Ignoring state for ${state.alive.length} cells (simulation has ${this.cellCount})`);
+            return;
+        }
+
+        this.nextAlive = this.alive;
+        this.nextAge = this.age;
+        this.nextStabilityCounter = this.stabilityCounter;
+        this.nextDecay = this.decay;
+        this.nextSpecies = this.species;
+
+        this.alive = state.alive;
+        this.age = state.age;
+        this.stabilityCounter = state.stabilityCounter;
+        this.decay = state.decay;
+        this.species = state.species;
+        if (state.level) {
+            this.level = state.level;
+        }
+        if (state.randomState !== undefined) {
+            this.random.setState(state.randomState);
+        }
+        this.tickCount = state.tickCount;
+    }
+
+    applySurvival(age, inSurvivalRule) {
+        // Hex-adapted GOL rules with configurable probabilities
+        // Hexagonal grids have 6 neighbors (vs 8 in square grids)
+        if (!inSurvivalRule) return false;
+
+        // Apply survival probability if enabled
+        if (this.survivalRules.probabilityEnabled &&
+            this.random.next() >= this.survivalRules.probability) {
+            return false;
+        }
+
+        // Check sudden death rule
+        if (this.deathRules.suddenDeathEnabled &&
+            this.random.next() < this.deathRules.suddenDeathProbability) {
+            return false;
+        }
+
+        // Check age-based death rule (exponential probability)
+        if (this.deathRules.ageDeathEnabled && age >= this.deathRules.ageDeathThreshold) {
+            const ageOverThreshold = age - this.deathRules.ageDeathThreshold;
+            // Exponential probability: P(death) = 1 - e^(-lambda * age)
+            const deathProbability = 1 - Math.exp(-this.deathRules.ageDeathRate * ageOverThreshold);
+            if (this.random.next() < deathProbability) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    applyBirth(inBirthRule) {
+        if (!inBirthRule) return false;
+
+        // Apply birth probability if enabled
+        if (this.birthRules.probabilityEnabled) {
+            return this.random.next() < this.birthRules.probability;
+        }
+        return true;
+    }
+
+    countLivingNeighbors(tileIndex) {
+        const { offsets, indices } = this.adjacency;
+        let count = 0;
+        for (let j = offsets[tileIndex]; j < offsets[tileIndex + 1]; j++) {
+            count += this.alive[indices[j]];
+        }
+        return count;
+    }
+
+    /**
+     * Current generation. The arrays are swapped on every step(), so
+     * re-read the state after stepping instead of holding on to them.
+     */
+    getState() {
+        return {
+            tickCount: this.tickCount,
+            cellCount: this.cellCount,
+            alive: this.alive,
+            age: this.age,
+            stabilityCounter: this.stabilityCounter,
+            decay: this.decay,
+            stateCount: this.generationsRules.states,
+            mode: this.mode,
+            level: this.level,
+            species: this.species,
+            speciesCount: this.speciesRules.count,
+            randomState: this.random.getState(),
+            previousAlive: this.nextAlive
+        };
+    }
+
+    isAlive(tileIndex) {
+        return this.alive[tileIndex] === 1;
+    }
+
+    getSpeciesPopulation() {
+        const population = new Array(this.speciesRules.count).fill(0);
+        for (let i = 0; i < this.cellCount; i++) {
+            // Ids beyond the count are left over until the next initialize()
+            if (this.alive[i] && this.species[i] < population.length) population[this.species[i]]++;
+        }
+        return population;
+    }
+
+    /**
+     * Whether the next generation draws on the random stream: probabilistic
+     * survival or birth, sudden or age death, or the species pick of
+     * newborns when several species compete
+     */
+    isStochastic() {
+        return (this.survivalRules.probabilityEnabled && this.survivalRules.probability < 1) ||
+            (this.birthRules.probabilityEnabled && this.birthRules.probability < 1) ||
+            (this.deathRules.suddenDeathEnabled && this.deathRules.suddenDeathProbability > 0) ||
+            (this.deathRules.ageDeathEnabled && this.deathRules.ageDeathRate > 0) ||
+            this.speciesRules.count > 1;
+    }
+
+    getAliveCount() {
+        let count = 0;
+        for (let i = 0; i < this.cellCount; i++) {
+            count += this.alive[i];
+        }
+        return count;
+    }
+
+    getSeed() {
+        return this.random.getSeed();
+    }
+
+    // Alive pattern and PRNG state the current run started from
+    getStartState() {
+        return { alive: this.startAlive, randomState: this.startRandomState };
+    }
+
+    getTickCount() {
+        return this.tickCount;
+    }
+
+    setPatternPlacement(placement) {
+        Object.assign(this.patternPlacement, placement);
+    }
+
+    getPatternPlacement() {
+        return { ...this.patternPlacement };
+    }
+
+    // Rulestring (birth and survival neighbor sets)
+    setRulestring(rulestring) {
+        const { birth, survival, states } = parseRulestring(rulestring);
+        this.birthRules.neighbors = birth;
+        this.survivalRules.neighbors = survival;
+        this.generationsRules.states = states;
+    }
+
+    getRulestring() {
+        return formatRulestring(this.birthRules.neighbors, this.survivalRules.neighbors, this.generationsRules.states);
+    }
+
+    // Generations rule setters
+    setStateCount(states) {
+        this.generationsRules.states = Math.max(2, Math.min(MAX_STATES, Math.floor(states)));
+    }
+
+    // Survival rule setters
+    setSurvivalNeighbors(neighbors) {
+        this.survivalRules.neighbors = normalizeCounts(neighbors);
+    }
+
+    // Min/max setters replace the set with a contiguous range
+    setSurvivalMinNeighbors(min) {
+        const max = Math.max(min, ...this.survivalRules.neighbors);
+        this.survivalRules.neighbors = countsFromRange(min, max);
+    }
+
+    setSurvivalMaxNeighbors(max) {
+        const min = Math.min(max, ...this.survivalRules.neighbors);
+        this.survivalRules.neighbors = countsFromRange(min, max);
+    }
+
+    setSurvivalProbabilityEnabled(enabled) {
+        this.survivalRules.probabilityEnabled = enabled;
+    }
+
+    setSurvivalProbability(probability) {
+        this.survivalRules.probability = probability;
+    }
+
+    // Birth rule setters
+    setBirthNeighbors(neighbors) {
+        this.birthRules.neighbors = normalizeCounts(neighbors);
+    }
+
+    setBirthMinNeighbors(min) {
+        const max = Math.max(min, ...this.birthRules.neighbors);
+        this.birthRules.neighbors = countsFromRange(min, max);
+    }
+
+    setBirthMaxNeighbors(max) {
+        const min = Math.min(max, ...this.birthRules.neighbors);
+        this.birthRules.neighbors = countsFromRange(min, max);
+    }
+
+    setBirthProbabilityEnabled(enabled) {
+        this.birthRules.probabilityEnabled = enabled;
+    }
+
+    setBirthProbability(probability) {
+        this.birthRules.probability = probability;
+    }
+
+    // Species rule setters (the count takes effect on the next initialize())
+    setSpeciesCount(count) {
+        this.speciesRules.count = Math.max(1, Math.min(MAX_SPECIES, Math.floor(count)));
+    }
+
+    setSpeciesBirthMode(mode) {
+        this.speciesRules.birthMode = mode;
+    }
+
+    // Per-species B/S sets; pass null to fall back to the shared rule
+    setSpeciesRulestring(speciesId, rulestring) {
+        if (rulestring === null || rulestring.trim() === '') {
+            this.speciesRules.overrides[speciesId] = null;
+            return;
+        }
+        const { birth, survival } = parseRulestring(rulestring);
+        this.speciesRules.overrides[speciesId] = { birth, survival };
+    }
+
+    getSpeciesRulestring(speciesId) {
+        const override = this.speciesRules.overrides[speciesId];
+        return override ? formatRulestring(override.birth, override.survival) : null;
+    }
+
+    // Engine mode
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+
+        if (mode === 'continuous') {
+            // Carry the current pattern over as full-level cells
+            for (let i = 0; i < this.cellCount; i++) {
+                this.level[i] = this.alive[i] ? 1 : 0;
+                this.decay[i] = 0;
+            }
+            this.rebuildKernel();
+        }
+        // Switching back keeps the thresholded alive set as the pattern
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    // Continuous rule setters
+    setKernelRadius(radius) {
+        this.continuousRules.kernelRadius = Math.max(1, Math.floor(radius));
+        this.rebuildKernel();
+    }
+
+    setGrowthMean(mean) {
+        this.continuousRules.growthMean = mean;
+    }
+
+    setGrowthWidth(width) {
+        this.continuousRules.growthWidth = Math.max(1e-6, width);
+    }
+
+    setContinuousDt(dt) {
+        this.continuousRules.dt = dt;
+    }
+
+    // Neighborhood rule setters
+    setNeighborhoodRadius(radius) {
+        this.neighborhoodRules.radius = Math.max(1, Math.floor(radius));
+        this.rebuildNeighborhood();
+    }
+
+    setRingWeights(weights) {
+        this.neighborhoodRules.weights = weights.slice();
+        if (this.neighborhood) {
+            this.updateNeighborhoodWeights();
+        }
+    }
+
+    setNeighborhoodBirthRange(min, max) {
+        this.neighborhoodRules.birthRange = { min, max };
+    }
+
+    setNeighborhoodSurvivalRange(min, max) {
+        this.neighborhoodRules.survivalRange = { min, max };
+    }
+
+    // Pentagon rule setters
+    setPentagonRuleMode(mode) {
+        this.pentagonRules.mode = mode;
+    }
+
+    getPentagonIndices() {
+        return this.pentagonIndices;
+    }
+
+    // Death rule setters
+    setAgeDeathEnabled(enabled) {
+        this.deathRules.ageDeathEnabled = enabled;
+    }
+
+    setAgeDeathRate(rate) {
+        this.deathRules.ageDeathRate = rate;
+    }
+
+    setAgeDeathThreshold(threshold) {
+        this.deathRules.ageDeathThreshold = threshold;
+    }
+
+    setSuddenDeathEnabled(enabled) {
+        this.deathRules.suddenDeathEnabled = enabled;
+    }
+
+    setSuddenDeathProbability(probability) {
+        this.deathRules.suddenDeathProbability = probability;
+    }
+
+    // Rule getters
+    getSurvivalRules() {
+        return this.survivalRules;
+    }
+
+    getBirthRules() {
+        return this.birthRules;
+    }
+
+    getDeathRules() {
+        return this.deathRules;
+    }
+
+    getPentagonRules() {
+        return this.pentagonRules;
+    }
+
+    getGenerationsRules() {
+        return this.generationsRules;
+    }
+
+    getNeighborhoodRules() {
+        return this.neighborhoodRules;
+    }
+
+    getContinuousRules() {
+        return this.continuousRules;
+    }
+
+    getSpeciesRules() {
+        return this.speciesRules;
+    }
+}
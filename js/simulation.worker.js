@@ -0,0 +1,127 @@
+/**
+ * Simulation Worker
+ * Runs LifeSimulation ticks and organism detection off the main thread.
+ * Receives the grid topology once, then posts compact state buffers (plus
+ * organism summaries every few ticks) back to GameOfLifeEngine.
+ */
+
+import { LifeSimulation } from './simulation.js';
+import { detectComponents } from './components.js';
+
+const simulation = new LifeSimulation();
+let tiles = [];
+let adjacency = null;
+
+let epoch = 0;
+let initialized = false;
+let paused = false;
+let tickSpeed = 1.0; // seconds
+let organismFrequency = 5; // detect organisms every N ticks
+let tickTimer = null;
+
+function setTopology(centers, offsets, indices) {
+    // Components only need tile centers; tiles carry nothing else here
+    tiles = [];
+    for (let i = 0; i < centers.length; i += 3) {
+        tiles.push({ centerPoint: { x: centers[i], y: centers[i + 1], z: centers[i + 2] } });
+    }
+    adjacency = { offsets, indices };
+    simulation.setTopology(tiles, adjacency);
+}
+
+function postState(includeOrganisms) {
+    const state = simulation.getState();
+
+    // Copies, so the transferred buffers never alias the simulation's own
+    const message = {
+        type: 'state',
+        epoch,
+        tickCount: state.tickCount,
+        alive: state.alive.slice(),
+        age: state.age.slice(),
+        stabilityCounter: state.stabilityCounter.slice(),
+        decay: state.decay.slice(),
+        species: state.species.slice(),
+        level: state.mode === 'continuous' ? state.level.slice() : null,
+        randomState: state.randomState,
+        organisms: null
+    };
+
+    const transfer = [message.alive.buffer, message.age.buffer, message.stabilityCounter.buffer,
+        message.decay.buffer, message.species.buffer];
+    if (message.level) {
+        transfer.push(message.level.buffer);
+    }
+
+    if (includeOrganisms) {
+        message.organisms = detectComponents(state, adjacency, tiles);
+        message.organisms.forEach(component => transfer.push(component.cells.buffer));
+    }
+
+    self.postMessage(message, transfer);
+}
+
+function step() {
+    simulation.step();
+    postState(simulation.getTickCount() % organismFrequency === 0);
+}
+
+function scheduleTick() {
+    clearTimeout(tickTimer);
+    tickTimer = null;
+    if (paused || !initialized) return;
+
+    tickTimer = setTimeout(() => {
+        step();
+        scheduleTick();
+    }, tickSpeed * 1000);
+}
+
+self.onmessage = event => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'topology':
+            setTopology(message.centers, message.offsets, message.indices);
+            break;
+        case 'initialize':
+            epoch = message.epoch;
+            // initialize() or initializeCells()
+            simulation[message.method](...message.args);
+            initialized = true;
+            postState(true);
+            scheduleTick();
+            break;
+        case 'load':
+            // Jump to a state kept in the engine's history
+            epoch = message.epoch;
+            simulation.loadState(message.state);
+            scheduleTick();
+            break;
+        case 'call':
+            if (typeof simulation[message.method] !== 'function') {
+                console.warn(`Unknown simulation method: ${message.method}`);
+                break;
+            }
+            simulation[message.method](...message.args);
+            break;
+        case 'step':
+            if (initialized) {
+                step();
+            }
+            break;
+        case 'setTickSpeed':
+            tickSpeed = message.tickSpeed;
+            scheduleTick();
+            break;
+        case 'setPaused':
+            paused = message.paused;
+            scheduleTick();
+            break;
+        case 'setOrganismFrequency':
+            organismFrequency = Math.max(1, message.ticks);
+            break;
+        default:
+            console.warn(`Unknown worker message: ${message.type}`);
+    }
+};
@@ -0,0 +1,144 @@
+/**
+ * Spherical Spatial Index
+ * Buckets points on a sphere by latitude/longitude cell, so "points lying
+ * an angle θ ± tolerance away from here" visits only the cells that can
+ * hold an answer instead of every point (no Three.js dependency)
+ */
+
+const DEGREES = 180 / Math.PI;
+const RADIANS = Math.PI / 180;
+
+// Slack (degrees) on every pruning test, so rounding never drops a point
+// the exact test would keep
+const MARGIN = 1e-6;
+
+// Angle in degrees between two center points, seen from the sphere center
+export function angularDistance(a, b) {
+    const lengths = Math.hypot(a.x, a.y, a.z) * Math.hypot(b.x, b.y, b.z);
+    if (lengths === 0) return 0;
+    const dot = (a.x * b.x + a.y * b.y + a.z * b.z) / lengths;
+    return Math.acos(Math.max(-1, Math.min(1, dot))) * (180 / Math.PI);
+}
+
+function toLatLong(point) {
+    const length = Math.hypot(point.x, point.y, point.z) || 1;
+    return {
+        lat: Math.asin(Math.max(-1, Math.min(1, point.y / length))) * DEGREES,
+        lon: Math.atan2(point.z, point.x) * DEGREES
+    };
+}
+
+function fromLatLong(lat, lon) {
+    const cosLat = Math.cos(lat * RADIANS);
+    return { x: cosLat * Math.cos(lon * RADIANS), y: Math.sin(lat * RADIANS), z: cosLat * Math.sin(lon * RADIANS) };
+}
+
+export class SphereIndex {
+    constructor(cellDegrees = 10) {
+        // Cells evenly divide the latitudes, and twice as many the longitudes
+        this.rows = Math.max(1, Math.ceil(180 / cellDegrees));
+        this.columns = this.rows * 2;
+        this.cellDegrees = 180 / this.rows;
+
+        // Per row: the latitude of its cell centers and an angular radius
+        // around them that covers every cell in it
+        this.rowInfo = [];
+        for (let row = 0; row < this.rows; row++) {
+            const south = -90 + row * this.cellDegrees;
+            const north = south + this.cellDegrees;
+            // Along the meridian to the point's latitude, then along its
+            // parallel: half a cell each way at most, the second shrinking
+            // with the cosine of the latitude
+            const widest = south <= 0 && north >= 0 ? 1 : Math.max(Math.cos(south * RADIANS), Math.cos(north * RADIANS));
+            this.rowInfo.push({ center: south + this.cellDegrees / 2, radius: (this.cellDegrees / 2) * (1 + widest) });
+        }
+        this.clear();
+    }
+
+    clear() {
+        // Cell number -> [{ id, point }]
+        this.cells = new Map();
+        this.size = 0;
+    }
+
+    cellOf(lat, lon) {
+        const row = Math.min(this.rows - 1, Math.floor((lat + 90) / this.cellDegrees));
+        const column = Math.min(this.columns - 1, Math.floor((lon + 180) / this.cellDegrees));
+        return row * this.columns + column;
+    }
+
+    insert(id, point) {
+        const { lat, lon } = toLatLong(point);
+        const cell = this.cellOf(lat, lon);
+        if (!this.cells.has(cell)) this.cells.set(cell, []);
+        this.cells.get(cell).push({ id, point });
+        this.size++;
+    }
+
+    /**
+     * Ids of the points whose angle from point is within tolerance of
+     * targetAngle (degrees), with that angle: [{ id, angle }]
+     */
+    queryBelt(point, targetAngle, tolerance) {
+        const results = [];
+        const minAngle = Math.max(0, targetAngle - tolerance);
+        const maxAngle = Math.min(180, targetAngle + tolerance);
+        if (this.size === 0 || minAngle > maxAngle) return results;
+
+        this.forEachCellNear(point, minAngle, maxAngle, entries => {
+            entries.forEach(({ id, point: other }) => {
+                const angle = angularDistance(point, other);
+                if (Math.abs(angle - targetAngle) <= tolerance) {
+                    results.push({ id, angle });
+                }
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Call back with the points of every occupied cell that may lie between
+     * minAngle and maxAngle of point. The belt sits inside a cap around the
+     * point (up to maxAngle) and one around its antipode (up to 180 -
+     * minAngle); only cells in the smaller cap's bounding box are looked at.
+     */
+    forEachCellNear(point, minAngle, maxAngle, callback) {
+        const antipodal = 180 - minAngle < maxAngle;
+        const capCenter = antipodal ? { x: -point.x, y: -point.y, z: -point.z } : point;
+        const capRadius = (antipodal ? 180 - minAngle : maxAngle) + MARGIN;
+        const { lat, lon } = toLatLong(capCenter);
+
+        const firstRow = Math.max(0, Math.floor((lat - capRadius + 90) / this.cellDegrees));
+        const lastRow = Math.min(this.rows - 1, Math.floor((lat + capRadius + 90) / this.cellDegrees));
+
+        // Longitudes the cap spans; all of them if it holds a pole
+        let firstColumn = 0;
+        let lastColumn = this.columns - 1;
+        if (Math.abs(lat) + capRadius < 90) {
+            const halfWidth = Math.asin(Math.min(1, Math.sin(capRadius * RADIANS) / Math.cos(lat * RADIANS))) * DEGREES;
+            const start = Math.floor((lon - halfWidth + 180) / this.cellDegrees);
+            const end = Math.floor((lon + halfWidth + 180) / this.cellDegrees);
+            if (end - start + 1 < this.columns) {
+                firstColumn = start;
+                lastColumn = end;
+            }
+        }
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            const { center, radius } = this.rowInfo[row];
+            for (let k = firstColumn; k <= lastColumn; k++) {
+                // Column numbers past either end wrap around the date line
+                const column = ((k % this.columns) + this.columns) % this.columns;
+                const entries = this.cells.get(row * this.columns + column);
+                if (!entries) continue;
+
+                // Skip cells wholly nearer or farther than the belt
+                const cellCenter = fromLatLong(center, -180 + (column + 0.5) * this.cellDegrees);
+                const distance = angularDistance(point, cellCenter);
+                if (distance + radius < minAngle - MARGIN || distance - radius > maxAngle + MARGIN) continue;
+
+                callback(entries);
+            }
+        }
+    }
+}
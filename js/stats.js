@@ -1,11 +1,24 @@
 /**
  * Stats Display Manager
- * Updates the stats panel with population and game information
+ * Updates the stats panel with population and game information, plus
+ * rolling charts of the population dynamics
  */
 
+import { RollingSeries, TimeSeriesCharts } from './charts.js';
+
+// Chart strips; colors name entries of the theme's chartColors
+const CHART_PANELS = [
+    { title: 'Alive', series: [{ key: 'alive', label: '', color: 'alive' }] },
+    { title: 'Per tick', series: [{ key: 'births', label: '+', color: 'births' }, { key: 'deaths', label: '−', color: 'deaths' }] },
+    { title: 'Organisms', series: [{ key: 'organisms', label: 'n', color: 'organisms' }, { key: 'pairs', label: 'pairs', color: 'pairs' }] },
+    { title: 'Mean age', series: [{ key: 'meanAge', label: '', color: 'age' }] }
+];
+
 export class StatsDisplay {
-    constructor(gameEngine) {
+    constructor(gameEngine, organismTracker, themeManager) {
         this.game = gameEngine;
+        this.organisms = organismTracker;
+        this.themes = themeManager;
 
         // Get DOM elements
         this.elements = {
@@ -13,20 +26,33 @@ export class StatsDisplay {
             total: document.getElementById('stat-total'),
             density: document.getElementById('stat-density'),
             tick: document.getElementById('stat-tick'),
+            settle: document.getElementById('stat-settle'),
+            speciesSection: document.getElementById('species-section'),
+            speciesPopulation: document.getElementById('species-population'),
+            rulestring: document.getElementById('rule-string'),
             survival: document.getElementById('rule-survival'),
             birth: document.getElementById('rule-birth'),
+            pentagon: document.getElementById('rule-pentagon'),
+            neighborhood: document.getElementById('rule-neighborhood'),
             ageDeath: document.getElementById('rule-age-death'),
-            suddenDeath: document.getElementById('rule-sudden-death')
+            suddenDeath: document.getElementById('rule-sudden-death'),
+            charts: document.getElementById('stats-charts')
         };
 
+        // One sample per newly computed tick
+        this.series = new RollingSeries(200);
+        this.charts = this.elements.charts ? new TimeSeriesCharts(this.elements.charts, CHART_PANELS) : null;
+        this.chartsDirty = true;
+        this.chartTheme = null;
+        this.game.on('tick', ({ tickCount }) => this.recordTick(tickCount));
+
         // Initialize display
         this.update();
     }
 
     update() {
-        const cells = this.game.getCells();
-        const aliveCount = cells.filter(c => c.alive).length;
-        const totalCount = cells.length;
+        const aliveCount = this.game.getAliveCount();
+        const totalCount = this.game.getState().cellCount;
         const density = totalCount > 0 ? (aliveCount / totalCount * 100).toFixed(1) : 0;
         const tick = this.game.getTickCount();
 
@@ -35,48 +61,178 @@ export class StatsDisplay {
         if (this.elements.total) this.elements.total.textContent = totalCount.toLocaleString();
         if (this.elements.density) this.elements.density.textContent = `${density}%`;
         if (this.elements.tick) this.elements.tick.textContent = tick.toLocaleString();
+        if (this.elements.settle) this.elements.settle.textContent = this.formatSettleText(this.game.getSettleStatus());
+
+        this.updateSpeciesDisplay();
+        this.updateCharts();
 
         // Update all rules display
         this.updateRulesDisplay();
     }
 
+    recordTick(tickCount) {
+        const state = this.game.getState();
+        let alive = 0;
+        let births = 0;
+        let deaths = 0;
+        for (let i = 0; i < state.cellCount; i++) {
+            alive += state.alive[i];
+            if (state.alive[i] && !state.previousAlive[i]) births++;
+            if (!state.alive[i] && state.previousAlive[i]) deaths++;
+        }
+
+        // Organisms as of the tracker's last detection (every few ticks)
+        const organisms = this.organisms.getOrganisms();
+        const meanAge = organisms.length > 0
+            ? organisms.reduce((sum, organism) => sum + organism.age, 0) / organisms.length
+            : 0;
+
+        this.series.push({
+            tickCount,
+            alive,
+            births,
+            deaths,
+            organisms: organisms.length,
+            pairs: this.organisms.getPairs().length,
+            meanAge
+        });
+        this.chartsDirty = true;
+    }
+
+    updateCharts() {
+        if (!this.charts) return;
+
+        const theme = this.themes.getCurrentTheme();
+        if (theme !== this.chartTheme) {
+            this.chartTheme = theme;
+            this.charts.setColors(theme.chartColors);
+            this.chartsDirty = true;
+        }
+        if (!this.chartsDirty) return;
+
+        this.charts.draw(this.series.getSamples(), this.series.getWindowSize());
+        this.chartsDirty = false;
+    }
+
+    setChartWindow(ticks) {
+        this.series.setWindowSize(ticks);
+        this.chartsDirty = true;
+    }
+
+    getChartWindow() {
+        return this.series.getWindowSize();
+    }
+
+    updateSpeciesDisplay() {
+        if (!this.elements.speciesSection || !this.elements.speciesPopulation) return;
+
+        const population = this.game.getSpeciesPopulation();
+        const multiSpecies = population.length > 1 && this.game.getMode() !== 'continuous';
+        this.elements.speciesSection.classList.toggle('hidden', !multiSpecies);
+        if (!multiSpecies) return;
+
+        // Rebuild rows only when the species count changes
+        const container = this.elements.speciesPopulation;
+        if (container.children.length !== population.length) {
+            container.innerHTML = '';
+            population.forEach((count, speciesId) => {
+                const row = document.createElement('div');
+                row.className = 'stat-row';
+
+                const label = document.createElement('span');
+                label.className = 'stat-label';
+                const colorBox = document.createElement('span');
+                colorBox.className = 'color-box';
+                colorBox.style.backgroundColor = `#${this.game.getSpeciesColor(speciesId).toString(16).padStart(6, '0')}`;
+                label.appendChild(colorBox);
+                label.appendChild(document.createTextNode(` Species ${speciesId + 1}:`));
+
+                const value = document.createElement('span');
+                value.className = 'stat-value';
+
+                row.appendChild(label);
+                row.appendChild(value);
+                container.appendChild(row);
+            });
+        }
+
+        population.forEach((count, speciesId) => {
+            container.children[speciesId].lastChild.textContent = count.toLocaleString();
+        });
+    }
+
     updateRulesDisplay() {
         // Update survival and birth rules
         const survivalRules = this.game.getSurvivalRules();
         const birthRules = this.game.getBirthRules();
 
-        if (this.elements.survival) {
-            let survivalText = `${survivalRules.minNeighbors}`;
-            if (survivalRules.maxNeighbors !== survivalRules.minNeighbors) {
-                survivalText += `-${survivalRules.maxNeighbors}`;
-            }
-            survivalText += ' neighbors';
-
-            if (survivalRules.probabilityEnabled) {
-                survivalText += ` (p: ${(survivalRules.probability * 100).toFixed(0)}%)`;
+        if (this.elements.rulestring) {
+            if (this.game.getMode() === 'continuous') {
+                const rules = this.game.getContinuousRules();
+                this.elements.rulestring.textContent =
+                    `Lenia R${rules.kernelRadius} μ${rules.growthMean} σ${rules.growthWidth} dt${rules.dt}`;
+            } else {
+                this.elements.rulestring.textContent = this.game.getRulestring();
             }
+        }
 
-            this.elements.survival.textContent = survivalText;
+        if (this.elements.survival) {
+            this.elements.survival.textContent = this.formatRuleText(survivalRules);
         }
 
         if (this.elements.birth) {
-            let birthText = `${birthRules.minNeighbors}`;
-            if (birthRules.maxNeighbors !== birthRules.minNeighbors) {
-                birthText += `-${birthRules.maxNeighbors}`;
-            }
-            birthText += ' neighbors';
+            this.elements.birth.textContent = this.formatRuleText(birthRules);
+        }
 
-            if (birthRules.probabilityEnabled) {
-                birthText += ` (p: ${(birthRules.probability * 100).toFixed(0)}%)`;
-            }
+        if (this.elements.neighborhood) {
+            this.elements.neighborhood.textContent = this.formatNeighborhoodText(this.game.getNeighborhoodRules());
+        }
 
-            this.elements.birth.textContent = birthText;
+        if (this.elements.pentagon) {
+            const labels = { same: 'Same as hex', scaled: 'Scaled (×6/5)', dead: 'Always dead' };
+            const mode = this.game.getPentagonRules().mode;
+            this.elements.pentagon.textContent = labels[mode] || mode;
         }
 
         // Update death rules
         this.updateDeathRules();
     }
 
+    formatSettleText(status) {
+        // Detected state and the tick it was first seen at
+        switch (status.state) {
+            case 'extinct': return `Extinct (tick ${status.tickCount})`;
+            case 'still': return `Still life (tick ${status.tickCount})`;
+            case 'cycle': return `Period ${status.period} cycle (tick ${status.tickCount})`;
+            default: return 'Running';
+        }
+    }
+
+    formatRuleText(rules) {
+        let text = rules.neighbors.length > 0
+            ? `${rules.neighbors.join(', ')} neighbors`
+            : 'never';
+
+        if (rules.probabilityEnabled) {
+            text += ` (p: ${(rules.probability * 100).toFixed(0)}%)`;
+        }
+
+        return text;
+    }
+
+    formatNeighborhoodText(rules) {
+        if (rules.radius <= 1) return 'Immediate (B/S sets)';
+
+        const weights = [];
+        for (let ring = 1; ring <= rules.radius; ring++) {
+            const weight = rules.weights[ring - 1];
+            weights.push(weight === undefined ? 1 : weight);
+        }
+        const { birthRange, survivalRange } = rules;
+        return `R${rules.radius} [${weights.join(', ')}] ` +
+            `B${birthRange.min}–${birthRange.max} S${survivalRange.min}–${survivalRange.max}`;
+    }
+
     updateDeathRules() {
         const deathRules = this.game.getDeathRules();
 
@@ -10,6 +10,7 @@ export class ThemeManager {
                 name: 'dark',
                 background: 0x000510,
                 gridColor: 0x444444,
+                pentagonColor: 0xff3366,
                 cellColors: {
                     young: 0x00ff88,
                     mature: 0xffaa00,
@@ -23,6 +24,18 @@ export class ThemeManager {
                     0x00ff88,
                     0x8800ff
                 ],
+                // Stats panel charts
+                chartColors: {
+                    background: 0x0a0f1a,
+                    grid: 0x333333,
+                    text: 0xaaaaaa,
+                    alive: 0x00ff88,
+                    births: 0x55aaff,
+                    deaths: 0xff5577,
+                    organisms: 0xffaa00,
+                    pairs: 0xff00ff,
+                    age: 0x8888ff
+                },
                 lights: {
                     ambientIntensity: 0.4,
                     directionalIntensity: 0.8,
@@ -33,6 +46,7 @@ export class ThemeManager {
                 name: 'light',
                 background: 0xf0f0f0,
                 gridColor: 0x333333,
+                pentagonColor: 0xcc0044,
                 cellColors: {
                     young: 0x00cc66,
                     mature: 0xff8800,
@@ -46,6 +60,17 @@ export class ThemeManager {
                     0x00cc66,
                     0x6600cc
                 ],
+                chartColors: {
+                    background: 0xf0f0f0,
+                    grid: 0xbbbbbb,
+                    text: 0x444444,
+                    alive: 0x00aa55,
+                    births: 0x2266cc,
+                    deaths: 0xcc0044,
+                    organisms: 0xdd7700,
+                    pairs: 0xaa00aa,
+                    age: 0x5555bb
+                },
                 lights: {
                     ambientIntensity: 0.6,
                     directionalIntensity: 0.5,
@@ -0,0 +1,184 @@
+/**
+ * Grid Topology
+ * Resolves Hexasphere tile neighbors to an integer adjacency table
+ * (no Three.js dependency)
+ */
+
+// Subdivisions the app builds grids for; larger ones take too long, and
+// below 2 Hexasphere gives no hexagons at all
+export const MIN_SUBDIVISIONS = 8;
+export const MAX_SUBDIVISIONS = 24;
+
+export function getTileKey(tile) {
+    // Same "x,y,z" format Hexasphere uses for neighborIds
+    const point = tile.centerPoint;
+    return `${point.x},${point.y},${point.z}`;
+}
+
+/**
+ * Build a CSR-style adjacency table: the neighbors of tile i are
+ * indices[offsets[i]] .. indices[offsets[i + 1] - 1]
+ */
+export function buildAdjacency(tiles) {
+    const tileIdToIndex = new Map();
+    tiles.forEach((tile, index) => {
+        tileIdToIndex.set(getTileKey(tile), index);
+    });
+
+    const offsets = new Int32Array(tiles.length + 1);
+    const neighborLists = [];
+    let total = 0;
+
+    tiles.forEach((tile, index) => {
+        const neighbors = [];
+        (tile.neighborIds || []).forEach(neighborStringId => {
+            const neighborIndex = tileIdToIndex.get(neighborStringId);
+            if (neighborIndex !== undefined) {
+                neighbors.push(neighborIndex);
+            } else {
+                console.warn(`Tile ${index} has unresolved neighbor ${neighborStringId}`);
+            }
+        });
+        neighborLists.push(neighbors);
+        offsets[index] = total;
+        total += neighbors.length;
+    });
+    offsets[tiles.length] = total;
+
+    const indices = new Int32Array(total);
+    neighborLists.forEach((neighbors, index) => {
+        indices.set(neighbors, offsets[index]);
+    });
+
+    return { offsets, indices };
+}
+
+export function getNeighborIndices(adjacency, tileIndex) {
+    return adjacency.indices.subarray(adjacency.offsets[tileIndex], adjacency.offsets[tileIndex + 1]);
+}
+
+/**
+ * Tiles within `radius` rings of one tile (the tile itself first), by
+ * breadth-first search over the adjacency
+ */
+export function getTilesWithinRadius(adjacency, tileIndex, radius) {
+    return getTilesAround(adjacency, [tileIndex], radius);
+}
+
+/**
+ * Tiles within `radius` rings of any of the given tiles (the given tiles
+ * first), by breadth-first search from all of them at once
+ */
+export function getTilesAround(adjacency, tileIndices, radius) {
+    const { offsets, indices } = adjacency;
+    const found = Array.from(tileIndices);
+    const visited = new Set(found);
+    let frontier = found.slice();
+
+    for (let ring = 1; ring <= radius && frontier.length > 0; ring++) {
+        const nextFrontier = [];
+        frontier.forEach(current => {
+            for (let j = offsets[current]; j < offsets[current + 1]; j++) {
+                const neighbor = indices[j];
+                if (!visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    nextFrontier.push(neighbor);
+                    found.push(neighbor);
+                }
+            }
+        });
+        frontier = nextFrontier;
+    }
+    return found;
+}
+
+/**
+ * Build the ring neighborhood of every tile out to `radius` rings by
+ * breadth-first search over the immediate adjacency, so rings stay correct
+ * around the pentagons. Same CSR layout as buildAdjacency(), plus the ring
+ * (1..radius) of each entry.
+ */
+export function buildRingNeighborhood(adjacency, radius) {
+    const { offsets, indices } = adjacency;
+    const tileCount = offsets.length - 1;
+    const ringOffsets = new Int32Array(tileCount + 1);
+    const ringIndices = [];
+    const ringOf = [];
+
+    // Per-tile BFS, reusing one visited stamp array across tiles
+    const visitedStamp = new Int32Array(tileCount).fill(-1);
+
+    for (let tile = 0; tile < tileCount; tile++) {
+        ringOffsets[tile] = ringIndices.length;
+        visitedStamp[tile] = tile;
+        let frontier = [tile];
+
+        for (let ring = 1; ring <= radius && frontier.length > 0; ring++) {
+            const nextFrontier = [];
+            frontier.forEach(current => {
+                for (let j = offsets[current]; j < offsets[current + 1]; j++) {
+                    const neighbor = indices[j];
+                    if (visitedStamp[neighbor] !== tile) {
+                        visitedStamp[neighbor] = tile;
+                        nextFrontier.push(neighbor);
+                        ringIndices.push(neighbor);
+                        ringOf.push(ring);
+                    }
+                }
+            });
+            frontier = nextFrontier;
+        }
+    }
+    ringOffsets[tileCount] = ringIndices.length;
+
+    return {
+        radius,
+        offsets: ringOffsets,
+        indices: Int32Array.from(ringIndices),
+        rings: Uint8Array.from(ringOf)
+    };
+}
+
+/**
+ * Same CSR table as buildAdjacency(), but each tile's neighbors are sorted
+ * counter-clockwise around the outward normal, so index k + 1 is the next
+ * neighbor round the tile. Used to lay hex-axial patterns onto the sphere.
+ */
+export function buildNeighborRings(tiles, adjacency) {
+    const { offsets, indices } = adjacency;
+    const sorted = new Int32Array(indices.length);
+    const center = tile => {
+        // Hexasphere stores coordinates as strings
+        const point = tile.centerPoint;
+        return [+point.x, +point.y, +point.z];
+    };
+
+    for (let tile = 0; tile < offsets.length - 1; tile++) {
+        const start = offsets[tile];
+        const end = offsets[tile + 1];
+        if (end === start) continue;
+
+        const [nx, ny, nz] = center(tiles[tile]);
+        // Tangent basis: e1 towards the first neighbor, e2 = n x e1
+        const toNeighbor = j => {
+            const [x, y, z] = center(tiles[indices[j]]);
+            return [x - nx, y - ny, z - nz];
+        };
+        const [fx, fy, fz] = toNeighbor(start);
+        const e2 = [ny * fz - nz * fy, nz * fx - nx * fz, nx * fy - ny * fx];
+
+        const angles = [];
+        for (let j = start; j < end; j++) {
+            const [dx, dy, dz] = toNeighbor(j);
+            const a = dx * fx + dy * fy + dz * fz;
+            const b = dx * e2[0] + dy * e2[1] + dz * e2[2];
+            angles.push({ neighbor: indices[j], angle: Math.atan2(b, a) });
+        }
+        angles.sort((p, q) => p.angle - q.angle);
+        angles.forEach((entry, k) => {
+            sorted[start + k] = entry.neighbor;
+        });
+    }
+
+    return { offsets, indices: sorted };
+}
@@ -3,20 +3,53 @@
  * Manages dat.GUI controls and parameter binding
  */
 
+import { SeededRandom } from './random.js';
+import { MAX_SPECIES } from './simulation.js';
+import { formatRulestring } from './rulestring.js';
+import {
+    SAVE_FORMAT, SAVE_VERSION, getPentagonFingerprint, serializeCells, deserializeCells,
+    validateSaveDocument, checkGridMatch, parseSaveDocument, listSlots, saveSlot, loadSlot, deleteSlot
+} from './persistence.js';
+import { encodeShareHash } from './share.js';
+import { MIN_SUBDIVISIONS, MAX_SUBDIVISIONS } from './topology.js';
+import { findPattern, getPatternsForRule } from './patterns.js';
+import { mapPixelsToTiles, renderEquirect, sampleEquirect, thresholdCells } from './equirect.js';
+import { PAIR_POLICIES } from './pairing.js';
+
+// Seed patterns LifeSimulation.initialize() generates itself
+const BUILT_IN_SEEDS = ['random', 'cluster', 'ring'];
+const EDITOR_TOOLS = ['draw', 'erase', 'stamp'];
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 export class UIController {
-    constructor(sceneManager, gridManager, gameEngine, organismTracker, particleManager, themeManager) {
+    constructor(sceneManager, gridManager, gameEngine, organismTracker, particleManager, themeManager, cellEditor, statsDisplay, recorder) {
         this.scene = sceneManager;
         this.grid = gridManager;
         this.game = gameEngine;
         this.organisms = organismTracker;
         this.particles = particleManager;
         this.themes = themeManager;
+        this.editor = cellEditor;
+        this.stats = statsDisplay;
+        this.recorder = recorder;
 
         // Parameters object for dat.GUI
         this.params = {
             simulation: {
                 tickSpeed: 1.0,
-                paused: false
+                paused: false,
+                settleReaction: 'log',
+                stepForward: () => this.stepForward(),
+                stepBack: () => this.stepBack(),
+                timeline: 0
             },
             sphere: {
                 radius: 100,
@@ -27,7 +60,9 @@ export class UIController {
                 minAge: 5,
                 minSize: 5,
                 targetAngle: 180,
-                angularTolerance: 15
+                angularTolerance: 15,
+                pairMotion: 'any',
+                pairPolicy: 'nearest'
             },
             particles: {
                 flowSpeed: 1.0,
@@ -36,12 +71,25 @@ export class UIController {
             },
             visual: {
                 theme: 'dark',
-                cellOpacity: 0.5
+                cellOpacity: 0.5,
+                chartWindow: 200
             },
             seed: {
                 pattern: 'random',
                 density: 0.2,
-                regenerate: () => this.regenerateSeed()
+                species: 1,
+                seed: this.game.getSeed(),
+                anchor: -1,
+                rotation: 0,
+                mirror: false,
+                pentagonPolicy: 'clip',
+                newSeed: () => this.randomizeSeed(),
+                regenerate: () => this.regenerateSeed(),
+                stamp: () => this.stampPattern()
+            },
+            rules: {
+                rulestring: this.game.getRulestring(),
+                states: this.game.getGenerationsRules().states
             },
             survivalRules: {
                 minNeighbors: 2,
@@ -55,16 +103,72 @@ export class UIController {
                 probabilityEnabled: false,
                 probability: 1.0
             },
+            species: {
+                birthMode: 'majority',
+                rulestrings: ''
+            },
+            continuous: {
+                mode: 'discrete',
+                kernelRadius: 3,
+                growthMean: 0.15,
+                growthWidth: 0.015,
+                dt: 0.1
+            },
+            neighborhood: {
+                radius: 1,
+                ringWeights: '1, 1',
+                birthMin: 3,
+                birthMax: 4,
+                survivalMin: 3,
+                survivalMax: 6
+            },
+            pentagonRules: {
+                mode: 'same',
+                highlight: false
+            },
             deathRules: {
                 ageDeathEnabled: false,
                 ageDeathRate: 0.01,
                 ageDeathThreshold: 100,
                 suddenDeathEnabled: false,
                 suddenDeathProbability: 0.001
+            },
+            editor: {
+                enabled: false,
+                tool: 'draw',
+                brushRadius: 0
+            },
+            mapImage: {
+                width: 2048,
+                colorBy: 'alive',
+                threshold: 0.5,
+                invert: false,
+                exportMap: () => this.exportMapImage(),
+                importMap: () => this.importMapImage()
+            },
+            recording: {
+                ...recorder.getOptions(),
+                record: () => this.startRecording(),
+                stop: () => this.recorder.stop()
+            },
+            saveLoad: {
+                slotName: 'slot 1',
+                savedSlot: '',
+                saveSlot: () => this.saveToSlot(this.params.saveLoad.slotName),
+                loadSlot: () => this.loadFromSlot(this.params.saveLoad.slotName),
+                deleteSlot: () => this.deleteSavedSlot(this.params.saveLoad.slotName),
+                download: () => this.downloadSave(),
+                upload: () => this.uploadSave(),
+                copyLink: () => this.copyShareLink()
             }
         };
 
+        // Tick range the timeline slider currently spans
+        this.timelineRange = null;
+
         this.initGUI();
+
+        this.game.on('settle', detail => this.onSettle(detail));
     }
 
     initGUI() {
@@ -75,9 +179,21 @@ export class UIController {
         simFolder.add(this.params.simulation, 'tickSpeed', 0.1, 5.0).step(0.1)
             .name('Tick Speed (s)')
             .onChange(value => this.game.setTickSpeed(value));
-        simFolder.add(this.params.simulation, 'paused')
+        this.pausedController = simFolder.add(this.params.simulation, 'paused')
             .name('Paused')
             .onChange(value => this.game.setPaused(value));
+        // What to do when the run dies out or settles into a still life or cycle
+        simFolder.add(this.params.simulation, 'settleReaction', ['log', 'pause', 'reseed'])
+            .name('When Settled')
+            .onChange(value => this.game.setSettleReaction(value));
+        simFolder.add(this.params.simulation, 'stepForward')
+            .name('Step Forward');
+        simFolder.add(this.params.simulation, 'stepBack')
+            .name('Step Back');
+        // Range follows the kept history, see updateTimeline()
+        this.timelineController = simFolder.add(this.params.simulation, 'timeline', 0, 1).step(1)
+            .name('Timeline (tick)')
+            .onChange(value => this.jumpToTick(value));
         simFolder.open();
 
         // Sphere Folder
@@ -91,7 +207,7 @@ export class UIController {
         sphereFolder.add(this.params.sphere, 'gridOpacity', 0.1, 1.0).step(0.1)
             .name('Grid Opacity')
             .onChange(value => this.grid.setGridOpacity(value));
-        sphereFolder.add(this.params.sphere, 'subdivisions', 8, 24).step(1)
+        sphereFolder.add(this.params.sphere, 'subdivisions', MIN_SUBDIVISIONS, MAX_SUBDIVISIONS).step(1)
             .name('Subdivisions')
             .onChange(value => {
                 this.grid.updateSubdivisions(value);
@@ -113,6 +229,12 @@ export class UIController {
         orgFolder.add(this.params.organisms, 'angularTolerance', 5, 45).step(5)
             .name('Angular Tolerance (°)')
             .onChange(value => this.organisms.setAngularTolerance(value));
+        orgFolder.add(this.params.organisms, 'pairMotion', ['any', 'still', 'oscillator', 'mover'])
+            .name('Pair Only')
+            .onChange(value => this.organisms.setPairMotion(value));
+        orgFolder.add(this.params.organisms, 'pairPolicy', PAIR_POLICIES)
+            .name('Pair Policy')
+            .onChange(value => this.organisms.setPairPolicy(value));
         orgFolder.open();
 
         // Particles Folder
@@ -136,26 +258,73 @@ export class UIController {
         visualFolder.add(this.params.visual, 'cellOpacity', 0.1, 1.0).step(0.1)
             .name('Cell Opacity')
             .onChange(value => this.game.setCellOpacity(value));
+        visualFolder.add(this.params.visual, 'chartWindow', 20, 1000).step(10)
+            .name('Chart Window (ticks)')
+            .onChange(value => this.stats.setChartWindow(value));
         visualFolder.open();
 
         // Seed Folder
         const seedFolder = this.gui.addFolder('Initial Seed');
-        seedFolder.add(this.params.seed, 'pattern', ['random', 'cluster', 'ring'])
-            .name('Pattern');
+        this.patternController = seedFolder.add(this.params.seed, 'pattern', BUILT_IN_SEEDS);
         seedFolder.add(this.params.seed, 'density', 0.1, 0.5).step(0.05)
             .name('Density');
+        seedFolder.add(this.params.seed, 'species', 1, MAX_SPECIES).step(1)
+            .name('Species')
+            .onFinishChange(() => this.regenerateSeed());
+        this.seedController = seedFolder.add(this.params.seed, 'seed').step(1)
+            .name('RNG Seed');
+        seedFolder.add(this.params.seed, 'newSeed')
+            .name('New Random Seed');
         seedFolder.add(this.params.seed, 'regenerate')
             .name('Regenerate');
+        // Library pattern placement (-1 = random hexagon tile)
+        seedFolder.add(this.params.seed, 'anchor', -1).step(1)
+            .name('Anchor Tile')
+            .onFinishChange(() => this.applyPatternPlacement());
+        seedFolder.add(this.params.seed, 'rotation', 0, 5).step(1)
+            .name('Rotation (x60°)')
+            .onChange(() => this.applyPatternPlacement());
+        seedFolder.add(this.params.seed, 'mirror')
+            .name('Mirror')
+            .onChange(() => this.applyPatternPlacement());
+        seedFolder.add(this.params.seed, 'pentagonPolicy', ['clip', 'reject'])
+            .name('At Pentagons')
+            .onChange(() => this.applyPatternPlacement());
+        seedFolder.add(this.params.seed, 'stamp')
+            .name('Stamp Pattern');
         seedFolder.open();
+        this.refreshPatternList();
+
+        // Rulestring Folder (arbitrary birth/survival sets, e.g. B2/S34H)
+        const rulesFolder = this.gui.addFolder('Rules');
+        this.rulestringController = rulesFolder.add(this.params.rules, 'rulestring')
+            .name('Rulestring')
+            .onFinishChange(value => this.applyRulestring(value));
+        this.statesController = rulesFolder.add(this.params.rules, 'states', 2, 16).step(1)
+            .name('States (Generations)')
+            .onChange(value => {
+                this.game.setStateCount(value);
+                this.syncRuleControllers();
+            });
+        rulesFolder.open();
 
         // Survival Rules Folder
+        // Min/max sliders set a contiguous range; use the rulestring for sets
         const survivalRulesFolder = this.gui.addFolder('Survival Rules');
-        survivalRulesFolder.add(this.params.survivalRules, 'minNeighbors', 0, 6).step(1)
-            .name('Min Neighbors')
-            .onChange(value => this.game.setSurvivalMinNeighbors(value));
-        survivalRulesFolder.add(this.params.survivalRules, 'maxNeighbors', 0, 6).step(1)
-            .name('Max Neighbors')
-            .onChange(value => this.game.setSurvivalMaxNeighbors(value));
+        this.survivalRangeControllers = [
+            survivalRulesFolder.add(this.params.survivalRules, 'minNeighbors', 0, 6).step(1)
+                .name('Min Neighbors')
+                .onChange(value => {
+                    this.game.setSurvivalMinNeighbors(value);
+                    this.syncRuleControllers();
+                }),
+            survivalRulesFolder.add(this.params.survivalRules, 'maxNeighbors', 0, 6).step(1)
+                .name('Max Neighbors')
+                .onChange(value => {
+                    this.game.setSurvivalMaxNeighbors(value);
+                    this.syncRuleControllers();
+                })
+        ];
         survivalRulesFolder.add(this.params.survivalRules, 'probabilityEnabled')
             .name('Probability Enabled')
             .onChange(value => this.game.setSurvivalProbabilityEnabled(value));
@@ -166,12 +335,20 @@ export class UIController {
 
         // Birth Rules Folder
         const birthRulesFolder = this.gui.addFolder('Birth Rules');
-        birthRulesFolder.add(this.params.birthRules, 'minNeighbors', 0, 6).step(1)
-            .name('Min Neighbors')
-            .onChange(value => this.game.setBirthMinNeighbors(value));
-        birthRulesFolder.add(this.params.birthRules, 'maxNeighbors', 0, 6).step(1)
-            .name('Max Neighbors')
-            .onChange(value => this.game.setBirthMaxNeighbors(value));
+        this.birthRangeControllers = [
+            birthRulesFolder.add(this.params.birthRules, 'minNeighbors', 0, 6).step(1)
+                .name('Min Neighbors')
+                .onChange(value => {
+                    this.game.setBirthMinNeighbors(value);
+                    this.syncRuleControllers();
+                }),
+            birthRulesFolder.add(this.params.birthRules, 'maxNeighbors', 0, 6).step(1)
+                .name('Max Neighbors')
+                .onChange(value => {
+                    this.game.setBirthMaxNeighbors(value);
+                    this.syncRuleControllers();
+                })
+        ];
         birthRulesFolder.add(this.params.birthRules, 'probabilityEnabled')
             .name('Probability Enabled')
             .onChange(value => this.game.setBirthProbabilityEnabled(value));
@@ -180,6 +357,66 @@ export class UIController {
             .onChange(value => this.game.setBirthProbability(value));
         birthRulesFolder.open();
 
+        // Species Folder (competing colonies)
+        const speciesFolder = this.gui.addFolder('Species');
+        speciesFolder.add(this.params.species, 'birthMode', ['majority', 'weighted'])
+            .name('Birth Species')
+            .onChange(value => this.game.setSpeciesBirthMode(value));
+        this.speciesRulesController = speciesFolder.add(this.params.species, 'rulestrings')
+            .name('Per-species Rules')
+            .onFinishChange(value => this.applySpeciesRulestrings(value));
+
+        // Engine Mode Folder (continuous = Lenia-style levels)
+        const continuousFolder = this.gui.addFolder('Continuous (Lenia)');
+        const ct = this.params.continuous;
+        continuousFolder.add(ct, 'mode', ['discrete', 'continuous'])
+            .name('Engine Mode')
+            .onChange(value => this.game.setMode(value));
+        continuousFolder.add(ct, 'kernelRadius', 1, 8).step(1)
+            .name('Kernel Radius (rings)')
+            .onChange(value => this.game.setKernelRadius(value));
+        continuousFolder.add(ct, 'growthMean', 0, 0.5).step(0.005)
+            .name('Growth Mean (μ)')
+            .onChange(value => this.game.setGrowthMean(value));
+        continuousFolder.add(ct, 'growthWidth', 0.001, 0.1).step(0.001)
+            .name('Growth Width (σ)')
+            .onChange(value => this.game.setGrowthWidth(value));
+        continuousFolder.add(ct, 'dt', 0.01, 1.0).step(0.01)
+            .name('Time Step (dt)')
+            .onChange(value => this.game.setContinuousDt(value));
+
+        // Neighborhood Folder (radius 2+ uses weighted sums and the ranges below)
+        const neighborhoodFolder = this.gui.addFolder('Neighborhood');
+        const nb = this.params.neighborhood;
+        neighborhoodFolder.add(nb, 'radius', 1, 5).step(1)
+            .name('Radius (rings)')
+            .onChange(value => this.game.setNeighborhoodRadius(value));
+        this.ringWeightsController = neighborhoodFolder.add(nb, 'ringWeights')
+            .name('Ring Weights')
+            .onFinishChange(value => this.applyRingWeights(value));
+        neighborhoodFolder.add(nb, 'birthMin', 0, 100).step(0.5)
+            .name('Birth Min Sum')
+            .onChange(() => this.game.setNeighborhoodBirthRange(nb.birthMin, nb.birthMax));
+        neighborhoodFolder.add(nb, 'birthMax', 0, 100).step(0.5)
+            .name('Birth Max Sum')
+            .onChange(() => this.game.setNeighborhoodBirthRange(nb.birthMin, nb.birthMax));
+        neighborhoodFolder.add(nb, 'survivalMin', 0, 100).step(0.5)
+            .name('Survival Min Sum')
+            .onChange(() => this.game.setNeighborhoodSurvivalRange(nb.survivalMin, nb.survivalMax));
+        neighborhoodFolder.add(nb, 'survivalMax', 0, 100).step(0.5)
+            .name('Survival Max Sum')
+            .onChange(() => this.game.setNeighborhoodSurvivalRange(nb.survivalMin, nb.survivalMax));
+
+        // Pentagon Rules Folder (the 12 five-neighbor tiles)
+        const pentagonRulesFolder = this.gui.addFolder('Pentagon Rules');
+        pentagonRulesFolder.add(this.params.pentagonRules, 'mode', ['same', 'scaled', 'dead'])
+            .name('Pentagon Rule')
+            .onChange(value => this.game.setPentagonRuleMode(value));
+        pentagonRulesFolder.add(this.params.pentagonRules, 'highlight')
+            .name('Highlight Pentagons')
+            .onChange(value => this.grid.setHighlightPentagons(value));
+        pentagonRulesFolder.open();
+
         // Death Rules Folder
         const deathRulesFolder = this.gui.addFolder('Death Rules');
 
@@ -203,16 +440,736 @@ export class UIController {
             .onChange(value => this.game.setSuddenDeathProbability(value));
 
         deathRulesFolder.open();
+
+        // Editor Folder (click and paint cells; hold Alt to orbit while editing)
+        const editorFolder = this.gui.addFolder('Editor');
+        editorFolder.add(this.params.editor, 'enabled')
+            .name('Edit Mode')
+            .onChange(value => this.editor.setEnabled(value));
+        this.toolController = editorFolder.add(this.params.editor, 'tool', EDITOR_TOOLS);
+        this.refreshToolList();
+        editorFolder.add(this.params.editor, 'brushRadius', 0, 5).step(1)
+            .name('Brush Radius (tiles)')
+            .onChange(value => this.editor.setBrushRadius(value));
+        editorFolder.open();
+
+        // Map Image Folder (equirectangular PNG export, seeding from images)
+        const mapImageFolder = this.gui.addFolder('Map Image');
+        mapImageFolder.add(this.params.mapImage, 'width', 256, 8192).step(256)
+            .name('Export Width (px)');
+        mapImageFolder.add(this.params.mapImage, 'colorBy', ['alive', 'age'])
+            .name('Color By');
+        mapImageFolder.add(this.params.mapImage, 'exportMap')
+            .name('Export Map PNG');
+        mapImageFolder.add(this.params.mapImage, 'threshold', 0, 1).step(0.01)
+            .name('Import Threshold');
+        mapImageFolder.add(this.params.mapImage, 'invert')
+            .name('Invert (Dark = Alive)');
+        mapImageFolder.add(this.params.mapImage, 'importMap')
+            .name('Seed From Image');
+
+        // Recording Folder (fixed-step time-lapse to WebM or PNG frames)
+        const recordingFolder = this.gui.addFolder('Recording');
+        const setRecordingOption = key => value => this.recorder.setOptions({ [key]: value });
+        recordingFolder.add(this.params.recording, 'format', ['webm', 'png'])
+            .name('Format')
+            .onChange(setRecordingOption('format'));
+        recordingFolder.add(this.params.recording, 'ticksPerFrame', 1, 50).step(1)
+            .name('Ticks per Frame')
+            .onChange(setRecordingOption('ticksPerFrame'));
+        recordingFolder.add(this.params.recording, 'frames', 1, 2000).step(1)
+            .name('Frames')
+            .onChange(setRecordingOption('frames'));
+        recordingFolder.add(this.params.recording, 'fps', 1, 60).step(1)
+            .name('Frame Rate (fps)')
+            .onChange(setRecordingOption('fps'));
+        recordingFolder.add(this.params.recording, 'width', 320, 3840).step(16)
+            .name('Width (px)')
+            .onChange(setRecordingOption('width'));
+        recordingFolder.add(this.params.recording, 'height', 240, 2160).step(16)
+            .name('Height (px)')
+            .onChange(setRecordingOption('height'));
+        recordingFolder.add(this.params.recording, 'orbitDegrees', -5, 5).step(0.1)
+            .name('Orbit (°/frame)')
+            .onChange(setRecordingOption('orbitDegrees'));
+        recordingFolder.add(this.params.recording, 'overlay')
+            .name('Tick / Rule Overlay')
+            .onChange(setRecordingOption('overlay'));
+        recordingFolder.add(this.params.recording, 'fromStart')
+            .name('From Start')
+            .onChange(setRecordingOption('fromStart'));
+        recordingFolder.add(this.params.recording, 'record')
+            .name('Record');
+        recordingFolder.add(this.params.recording, 'stop')
+            .name('Stop Recording');
+
+        // Save / Load Folder (JSON file or named browser slots)
+        const saveLoadFolder = this.gui.addFolder('Save / Load');
+        saveLoadFolder.add(this.params.saveLoad, 'copyLink')
+            .name('Copy Link');
+        saveLoadFolder.add(this.params.saveLoad, 'download')
+            .name('Download Save File');
+        saveLoadFolder.add(this.params.saveLoad, 'upload')
+            .name('Load Save File');
+        saveLoadFolder.add(this.params.saveLoad, 'slotName')
+            .name('Slot Name');
+        saveLoadFolder.add(this.params.saveLoad, 'saveSlot')
+            .name('Save to Slot');
+        saveLoadFolder.add(this.params.saveLoad, 'loadSlot')
+            .name('Load Slot');
+        saveLoadFolder.add(this.params.saveLoad, 'deleteSlot')
+            .name('Delete Slot');
+        this.savedSlotController = saveLoadFolder.add(this.params.saveLoad, 'savedSlot', [''])
+            .name('Saved Slots');
+        this.refreshSlotList();
+    }
+
+    applyRulestring(rulestring) {
+        try {
+            this.game.setRulestring(rulestring);
+        } catch (error) {
+            console.warn(`Rulestring not applied: ${error.message}`);
+        }
+        this.syncRuleControllers();
+    }
+
+    applySpeciesRulestrings(text) {
+        // ';'-separated rulestring per species, species 0 first; blank = shared rule
+        const entries = text.split(';');
+        for (let speciesId = 0; speciesId < MAX_SPECIES; speciesId++) {
+            const entry = speciesId < entries.length ? entries[speciesId].trim() : '';
+            try {
+                this.game.setSpeciesRulestring(speciesId, entry === '' ? null : entry);
+            } catch (error) {
+                console.warn(`Species ${speciesId} rule not applied: ${error.message}`);
+                this.game.setSpeciesRulestring(speciesId, null);
+            }
+        }
+
+        const canonical = [];
+        for (let speciesId = 0; speciesId < entries.length && speciesId < MAX_SPECIES; speciesId++) {
+            canonical.push(this.game.getSpeciesRulestring(speciesId) || '');
+        }
+        this.params.species.rulestrings = canonical.join('; ').replace(/(; )+$/, '');
+        this.speciesRulesController.updateDisplay();
+    }
+
+    applyRingWeights(text) {
+        // Comma-separated weight per ring, ring 1 first
+        const weights = text.split(',').map(part => parseFloat(part.trim()));
+        if (weights.some(weight => !Number.isFinite(weight))) {
+            console.warn(`Ring weights not applied: "${text}" is not a list of numbers`);
+        } else {
+            this.game.setRingWeights(weights);
+        }
+        this.params.neighborhood.ringWeights = this.game.getNeighborhoodRules().weights.join(', ');
+        this.ringWeightsController.updateDisplay();
+    }
+
+    syncRuleControllers() {
+        // Show the canonical rulestring and the range each set spans
+        this.params.rules.rulestring = this.game.getRulestring();
+        this.params.rules.states = this.game.getGenerationsRules().states;
+        this.rulestringController.updateDisplay();
+        this.statesController.updateDisplay();
+
+        const survival = this.game.getSurvivalRules().neighbors;
+        const birth = this.game.getBirthRules().neighbors;
+        this.params.survivalRules.minNeighbors = survival.length > 0 ? Math.min(...survival) : 0;
+        this.params.survivalRules.maxNeighbors = survival.length > 0 ? Math.max(...survival) : 0;
+        this.params.birthRules.minNeighbors = birth.length > 0 ? Math.min(...birth) : 0;
+        this.params.birthRules.maxNeighbors = birth.length > 0 ? Math.max(...birth) : 0;
+        this.survivalRangeControllers.forEach(controller => controller.updateDisplay());
+        this.birthRangeControllers.forEach(controller => controller.updateDisplay());
+
+        this.refreshPatternList();
+    }
+
+    refreshPatternList() {
+        // Built-in seeds plus the library patterns known for the current rule
+        const options = {};
+        BUILT_IN_SEEDS.forEach(name => {
+            options[name] = name;
+        });
+        getPatternsForRule(this.game.getRulestring()).forEach(({ name, type, period }) => {
+            const behavior = type === 'still' ? 'still life' : `${type}, p${period}`;
+            options[`${name} (${behavior})`] = name;
+        });
+        // Keep a selected library pattern listed after a rule change
+        const selected = this.params.seed.pattern;
+        if (!Object.values(options).includes(selected)) {
+            options[selected] = selected;
+        }
+
+        // options() replaces the controller in place, so re-apply name and handler
+        this.patternController = this.patternController.options(options)
+            .name('Pattern')
+            .onChange(value => {
+                this.editor.setStampPattern(value);
+                this.refreshToolList();
+            });
+        this.editor.setStampPattern(selected);
+        this.refreshToolList();
+    }
+
+    refreshToolList() {
+        // Built before the Editor folder on startup
+        if (!this.toolController) return;
+
+        // The stamp tool is offered only while a library pattern is selected
+        const tools = findPattern(this.params.seed.pattern) ? EDITOR_TOOLS : EDITOR_TOOLS.filter(tool => tool !== 'stamp');
+        if (!tools.includes(this.params.editor.tool)) {
+            this.params.editor.tool = 'draw';
+            this.editor.setTool('draw');
+        }
+        this.toolController = this.toolController.options(tools)
+            .name(tools.includes('stamp') ? 'Tool' : 'Tool (stamp: pick a pattern)')
+            .onChange(value => this.editor.setTool(value));
+    }
+
+    applyPatternPlacement() {
+        const { anchor, rotation, mirror, pentagonPolicy } = this.params.seed;
+        this.game.setPatternPlacement({ anchor: Math.floor(anchor), rotation, mirror, pentagonPolicy });
+    }
+
+    // Stamp the selected library pattern onto the running generation
+    stampPattern() {
+        const name = this.params.seed.pattern;
+        if (!findPattern(name)) {
+            console.warn(`"${name}" is not a library pattern; pick one from the Pattern list to stamp`);
+            return;
+        }
+
+        const { anchor, rotation, mirror } = this.game.getPatternPlacement();
+        const tileIndex = anchor >= 0 && anchor < this.grid.getTiles().length
+            ? anchor
+            : this.game.getSimulation().pickRandomHexagon();
+        if (tileIndex < 0) {
+            console.warn('The grid has no hexagon tile to stamp on');
+            return;
+        }
+        const result = this.game.stampPattern(name, tileIndex, rotation, mirror);
+        console.log(`Stamped "${name}" at tile ${tileIndex}: ${result.tiles.length} cells`);
+        this.organisms.refresh();
+    }
+
+    update() {
+        this.updateTimeline();
+    }
+
+    updateTimeline() {
+        const history = this.game.getHistory();
+        const first = history.getFirstTick();
+        const last = Math.max(first + 1, history.getLastTick());
+        const tick = this.game.getTickCount();
+
+        if (!this.timelineRange || this.timelineRange.first !== first || this.timelineRange.last !== last) {
+            this.timelineController.min(first).max(last);
+            this.timelineRange = { first, last };
+        }
+        if (this.params.simulation.timeline !== tick) {
+            this.params.simulation.timeline = tick;
+            this.timelineController.updateDisplay();
+        }
+    }
+
+    // Reflect the engine's settle reaction (pause or new seed) in the controls
+    onSettle() {
+        this.params.simulation.paused = this.game.isPaused();
+        this.pausedController.updateDisplay();
+        if (this.params.seed.seed !== this.game.getSeed()) {
+            this.params.seed.seed = this.game.getSeed();
+            this.seedController.updateDisplay();
+            this.organisms.refresh();
+        }
+    }
+
+    pause() {
+        if (this.params.simulation.paused) return;
+        this.params.simulation.paused = true;
+        this.pausedController.updateDisplay();
+        this.game.setPaused(true);
+    }
+
+    stepForward() {
+        this.pause();
+        if (this.game.stepForward()) {
+            this.organisms.refresh();
+        }
+    }
+
+    stepBack() {
+        this.pause();
+        if (this.game.stepBack()) {
+            this.organisms.refresh();
+        } else {
+            console.warn('No earlier tick kept in history');
+        }
+    }
+
+    jumpToTick(tickCount) {
+        this.pause();
+        if (this.game.restoreTick(Math.round(tickCount))) {
+            this.organisms.refresh();
+        }
+    }
+
+    /**
+     * Everything needed to resume the run: settings of every module plus
+     * the cell state (see persistence.js for the cell encoding)
+     */
+    buildSaveDocument() {
+        return {
+            format: SAVE_FORMAT,
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            sphere: {
+                radius: this.grid.getRadius(),
+                subdivisions: this.grid.getSubdivisions(),
+                gridOpacity: this.grid.getGridOpacity()
+            },
+            grid: {
+                cellCount: this.grid.getTiles().length,
+                pentagons: getPentagonFingerprint(this.grid.getAdjacency())
+            },
+            simulation: {
+                tickSpeed: this.game.getTickSpeed(),
+                paused: this.game.isPaused(),
+                settleReaction: this.game.getSettleReaction(),
+                seed: this.game.getSeed(),
+                pattern: this.params.seed.pattern,
+                density: this.params.seed.density,
+                placement: this.game.getPatternPlacement()
+            },
+            rules: this.gatherRules(),
+            organisms: {
+                minAge: this.organisms.getMinAge(),
+                minSize: this.organisms.getMinSize(),
+                targetAngle: this.organisms.getTargetAngle(),
+                angularTolerance: this.organisms.getAngularTolerance(),
+                pairMotion: this.organisms.getPairMotion(),
+                pairPolicy: this.organisms.getPairPolicy()
+            },
+            particles: {
+                flowSpeed: this.particles.getFlowSpeed(),
+                vibrationMode: this.particles.getVibrationMode(),
+                particleSize: this.particles.getParticleSize()
+            },
+            visual: {
+                theme: this.params.visual.theme,
+                cellOpacity: this.game.getCellOpacity(),
+                highlightPentagons: this.grid.getHighlightPentagons()
+            },
+            cells: serializeCells(this.game.getState())
+        };
+    }
+
+    // Every simulation rule, in the shape save files and share links use
+    gatherRules() {
+        const speciesRules = this.game.getSpeciesRules();
+        const rulestrings = [];
+        for (let speciesId = 0; speciesId < MAX_SPECIES; speciesId++) {
+            rulestrings.push(this.game.getSpeciesRulestring(speciesId));
+        }
+
+        return {
+            mode: this.game.getMode(),
+            survivalRules: this.game.getSurvivalRules(),
+            birthRules: this.game.getBirthRules(),
+            deathRules: this.game.getDeathRules(),
+            generationsRules: this.game.getGenerationsRules(),
+            neighborhoodRules: this.game.getNeighborhoodRules(),
+            continuousRules: this.game.getContinuousRules(),
+            pentagonRules: this.game.getPentagonRules(),
+            speciesRules: {
+                count: speciesRules.count,
+                birthMode: speciesRules.birthMode,
+                rulestrings
+            }
+        };
+    }
+
+    applyRules(rules) {
+        // The rulestring carries the neighbor sets and state count
+        const generations = rules.generationsRules || { states: 2 };
+        this.game.setMode(rules.mode || 'discrete');
+        this.game.setRulestring(formatRulestring(rules.birthRules.neighbors, rules.survivalRules.neighbors, generations.states));
+        this.game.setSurvivalProbabilityEnabled(rules.survivalRules.probabilityEnabled);
+        this.game.setSurvivalProbability(rules.survivalRules.probability);
+        this.game.setBirthProbabilityEnabled(rules.birthRules.probabilityEnabled);
+        this.game.setBirthProbability(rules.birthRules.probability);
+
+        const death = rules.deathRules;
+        this.game.setAgeDeathEnabled(death.ageDeathEnabled);
+        this.game.setAgeDeathRate(death.ageDeathRate);
+        this.game.setAgeDeathThreshold(death.ageDeathThreshold);
+        this.game.setSuddenDeathEnabled(death.suddenDeathEnabled);
+        this.game.setSuddenDeathProbability(death.suddenDeathProbability);
+
+        if (rules.neighborhoodRules) {
+            const nb = rules.neighborhoodRules;
+            this.game.setNeighborhoodRadius(nb.radius);
+            this.game.setRingWeights(nb.weights);
+            this.game.setNeighborhoodBirthRange(nb.birthRange.min, nb.birthRange.max);
+            this.game.setNeighborhoodSurvivalRange(nb.survivalRange.min, nb.survivalRange.max);
+        }
+        if (rules.continuousRules) {
+            const ct = rules.continuousRules;
+            this.game.setKernelRadius(ct.kernelRadius);
+            this.game.setGrowthMean(ct.growthMean);
+            this.game.setGrowthWidth(ct.growthWidth);
+            this.game.setContinuousDt(ct.dt);
+        }
+        if (rules.pentagonRules) {
+            this.game.setPentagonRuleMode(rules.pentagonRules.mode);
+        }
+        const species = rules.speciesRules || { count: 1, birthMode: 'majority', rulestrings: [] };
+        this.game.setSpeciesCount(species.count);
+        this.game.setSpeciesBirthMode(species.birthMode);
+        for (let speciesId = 0; speciesId < MAX_SPECIES; speciesId++) {
+            this.game.setSpeciesRulestring(speciesId, species.rulestrings[speciesId] || null);
+        }
+    }
+
+    // Switch to another sphere; returns true if the grid was regenerated
+    applySphere(radius, subdivisions) {
+        const changed = radius !== this.grid.getRadius() || subdivisions !== this.grid.getSubdivisions();
+        if (radius !== this.grid.getRadius()) {
+            this.grid.updateRadius(radius);
+        }
+        if (subdivisions !== this.grid.getSubdivisions()) {
+            this.grid.updateSubdivisions(subdivisions);
+        }
+        return changed;
+    }
+
+    applySaveDocument(doc) {
+        validateSaveDocument(doc);
+        const { sphere, simulation, rules } = doc;
+
+        const gridChanged = this.applySphere(sphere.radius, sphere.subdivisions);
+
+        let cells;
+        try {
+            checkGridMatch(doc, this.grid.getTiles(), this.grid.getAdjacency());
+            cells = deserializeCells(doc.cells);
+        } catch (error) {
+            // Keep the engine on the grid that is now displayed
+            if (gridChanged) {
+                this.syncParamsFromState();
+                this.regenerateSeed();
+            }
+            throw error;
+        }
+
+        this.applyRules(rules);
+
+        // Seed first (picks up the grid), then replace the cells
+        this.params.seed.pattern = simulation.pattern || this.params.seed.pattern;
+        this.params.seed.density = simulation.density || this.params.seed.density;
+        if (simulation.placement) {
+            this.game.setPatternPlacement(simulation.placement);
+        }
+        this.game.initialize(this.params.seed.pattern, this.params.seed.density, simulation.seed);
+        this.game.loadState(cells);
+        this.game.setTickSpeed(simulation.tickSpeed);
+        this.game.setPaused(simulation.paused);
+        if (simulation.settleReaction) {
+            this.game.setSettleReaction(simulation.settleReaction);
+        }
+
+        this.organisms.setMinAge(doc.organisms.minAge);
+        this.organisms.setMinSize(doc.organisms.minSize);
+        this.organisms.setTargetAngle(doc.organisms.targetAngle);
+        this.organisms.setAngularTolerance(doc.organisms.angularTolerance);
+        // Older saves have no motion filter
+        this.organisms.setPairMotion(doc.organisms.pairMotion || 'any');
+        this.organisms.setPairPolicy(doc.organisms.pairPolicy || 'nearest');
+        this.organisms.refresh();
+
+        this.particles.setFlowSpeed(doc.particles.flowSpeed);
+        this.particles.setVibrationMode(doc.particles.vibrationMode);
+        this.particles.setParticleSize(doc.particles.particleSize);
+
+        this.params.visual.theme = doc.visual.theme;
+        this.switchTheme(doc.visual.theme);
+        this.game.setCellOpacity(doc.visual.cellOpacity);
+        this.grid.setGridOpacity(sphere.gridOpacity);
+        if (doc.visual.highlightPentagons !== this.grid.getHighlightPentagons()) {
+            this.grid.setHighlightPentagons(doc.visual.highlightPentagons);
+        }
+
+        this.syncParamsFromState();
+        console.log(`Loaded save from ${doc.savedAt || 'unknown date'} at tick ${doc.cells.tickCount}`);
+    }
+
+    // Point every GUI control at the modules' current values
+    syncParamsFromState() {
+        const p = this.params;
+
+        p.simulation.tickSpeed = this.game.getTickSpeed();
+        p.simulation.paused = this.game.isPaused();
+        p.simulation.settleReaction = this.game.getSettleReaction();
+        p.sphere.radius = this.grid.getRadius();
+        p.sphere.subdivisions = this.grid.getSubdivisions();
+        p.sphere.gridOpacity = this.grid.getGridOpacity();
+
+        p.organisms.minAge = this.organisms.getMinAge();
+        p.organisms.minSize = this.organisms.getMinSize();
+        p.organisms.targetAngle = this.organisms.getTargetAngle();
+        p.organisms.angularTolerance = this.organisms.getAngularTolerance();
+        p.organisms.pairMotion = this.organisms.getPairMotion();
+        p.organisms.pairPolicy = this.organisms.getPairPolicy();
+
+        p.particles.flowSpeed = this.particles.getFlowSpeed();
+        p.particles.vibrationMode = this.particles.getVibrationMode();
+        p.particles.particleSize = this.particles.getParticleSize();
+
+        p.visual.cellOpacity = this.game.getCellOpacity();
+        p.visual.chartWindow = this.stats.getChartWindow();
+        p.seed.seed = this.game.getSeed();
+        Object.assign(p.seed, this.game.getPatternPlacement());
+
+        const survival = this.game.getSurvivalRules();
+        const birth = this.game.getBirthRules();
+        p.survivalRules.probabilityEnabled = survival.probabilityEnabled;
+        p.survivalRules.probability = survival.probability;
+        p.birthRules.probabilityEnabled = birth.probabilityEnabled;
+        p.birthRules.probability = birth.probability;
+
+        const species = this.game.getSpeciesRules();
+        p.seed.species = species.count;
+        p.species.birthMode = species.birthMode;
+        const rulestrings = [];
+        for (let speciesId = 0; speciesId < MAX_SPECIES; speciesId++) {
+            rulestrings.push(this.game.getSpeciesRulestring(speciesId) || '');
+        }
+        p.species.rulestrings = rulestrings.join('; ').replace(/(; )+$/, '');
+
+        const ct = this.game.getContinuousRules();
+        p.continuous.mode = this.game.getMode();
+        p.continuous.kernelRadius = ct.kernelRadius;
+        p.continuous.growthMean = ct.growthMean;
+        p.continuous.growthWidth = ct.growthWidth;
+        p.continuous.dt = ct.dt;
+
+        const nb = this.game.getNeighborhoodRules();
+        p.neighborhood.radius = nb.radius;
+        p.neighborhood.ringWeights = nb.weights.join(', ');
+        p.neighborhood.birthMin = nb.birthRange.min;
+        p.neighborhood.birthMax = nb.birthRange.max;
+        p.neighborhood.survivalMin = nb.survivalRange.min;
+        p.neighborhood.survivalMax = nb.survivalRange.max;
+
+        p.pentagonRules.mode = this.game.getPentagonRules().mode;
+        p.pentagonRules.highlight = this.grid.getHighlightPentagons();
+
+        Object.assign(p.deathRules, this.game.getDeathRules());
+
+        this.syncRuleControllers();
+        Object.values(this.gui.__folders).forEach(folder => {
+            folder.__controllers.forEach(controller => controller.updateDisplay());
+        });
+    }
+
+    downloadSave() {
+        const doc = this.buildSaveDocument();
+        const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+        downloadBlob(blob, `lifeprojection-tick-${doc.cells.tickCount}.json`);
+    }
+
+    // Current cells as an equirectangular PNG, twice as wide as high
+    exportMapImage() {
+        const { width, colorBy } = this.params.mapImage;
+        const height = width / 2;
+        const pixelTiles = mapPixelsToTiles(this.grid.getTiles(), this.grid.getAdjacency(), width, height);
+        const colors = this.game.getTileColors(colorBy, this.themes.getCurrentTheme().background);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').putImageData(new ImageData(renderEquirect(pixelTiles, colors), width, height), 0, 0);
+        canvas.toBlob(blob => downloadBlob(blob, `lifeprojection-map-tick-${this.game.getTickCount()}.png`), 'image/png');
+    }
+
+    /**
+     * Seed from an equirectangular image: each tile samples the image at its
+     * lat/long and is alive where the brightness passes the threshold
+     */
+    importMapImage() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const bitmap = await createImageBitmap(file);
+                const canvas = document.createElement('canvas');
+                canvas.width = bitmap.width;
+                canvas.height = bitmap.height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(bitmap, 0, 0);
+                bitmap.close();
+
+                const { threshold, invert } = this.params.mapImage;
+                const values = sampleEquirect(this.grid.getTiles(), ctx.getImageData(0, 0, canvas.width, canvas.height));
+                const cells = thresholdCells(values, threshold, invert);
+                this.game.initializeCells(cells, this.params.seed.seed);
+                this.organisms.refresh();
+                this.syncParamsFromState();
+                console.log(`Seeded ${this.game.getAliveCount()} cells from ${file.name} (${canvas.width}x${canvas.height})`);
+            } catch (error) {
+                this.reportError(`Seeding from ${file.name}`, error);
+            }
+        });
+        input.click();
+    }
+
+    async startRecording() {
+        try {
+            const result = await this.recorder.record();
+            if (result) {
+                downloadBlob(result.blob, result.filename);
+            }
+        } catch (error) {
+            this.reportError('Recording', error);
+        }
+        // The run may have restarted and the timeline moved on
+        this.syncParamsFromState();
+    }
+
+    uploadSave() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                this.applySaveDocument(parseSaveDocument(await file.text()));
+            } catch (error) {
+                this.reportError(`Loading ${file.name}`, error);
+            }
+        });
+        input.click();
+    }
+
+    saveToSlot(name) {
+        try {
+            saveSlot(name, this.buildSaveDocument());
+            console.log(`Saved slot "${name}"`);
+        } catch (error) {
+            this.reportError('Saving', error);
+        }
+        this.refreshSlotList();
+    }
+
+    loadFromSlot(name) {
+        try {
+            this.applySaveDocument(loadSlot(name));
+        } catch (error) {
+            this.reportError(`Loading slot "${name}"`, error);
+        }
+    }
+
+    deleteSavedSlot(name) {
+        try {
+            deleteSlot(name);
+        } catch (error) {
+            this.reportError('Deleting', error);
+        }
+        this.refreshSlotList();
+    }
+
+    refreshSlotList() {
+        // options() replaces the controller in place, so re-apply name and handler
+        this.savedSlotController = this.savedSlotController.options(['', ...listSlots()])
+            .name('Saved Slots')
+            .onChange(value => {
+                if (value === '') return;
+                this.params.saveLoad.slotName = value;
+                this.gui.__folders['Save / Load'].__controllers.forEach(controller => controller.updateDisplay());
+            });
+    }
+
+    /**
+     * URL that reproduces the run from its start: grid, rules, seed and
+     * (when small enough) the starting pattern
+     */
+    buildShareLink() {
+        const { hash, includesPattern } = encodeShareHash({
+            sphere: { radius: this.grid.getRadius(), subdivisions: this.grid.getSubdivisions() },
+            seed: { seed: this.game.getSeed(), pattern: this.params.seed.pattern, density: this.params.seed.density },
+            placement: this.game.getPatternPlacement(),
+            rules: this.gatherRules(),
+            start: this.game.getStartState()
+        });
+        if (!includesPattern) {
+            console.warn('Starting pattern is too large for a link; it will be regenerated from the seed');
+        }
+        return `${location.origin}${location.pathname}${location.search}#${hash}`;
+    }
+
+    async copyShareLink() {
+        const link = this.buildShareLink();
+        history.replaceState(null, '', link);
+        try {
+            await navigator.clipboard.writeText(link);
+            console.log('Share link copied to clipboard');
+        } catch (error) {
+            // Clipboard needs a secure context and permission
+            window.prompt('Copy this link:', link);
+        }
+    }
+
+    // Apply a decodeShareHash() result
+    applyShareLink(shared) {
+        this.applySphere(shared.sphere.radius, shared.sphere.subdivisions);
+        if (shared.cells && shared.cells.length !== this.grid.getTiles().length) {
+            throw new Error(`Grid mismatch: link pattern has ${shared.cells.length} cells, grid has ${this.grid.getTiles().length}`);
+        }
+
+        this.applyRules(shared.rules);
+        this.params.seed.pattern = shared.seed.pattern;
+        this.params.seed.density = shared.seed.density;
+        if (shared.placement) {
+            this.game.setPatternPlacement(shared.placement);
+        }
+        if (shared.cells) {
+            this.game.initializeCells(shared.cells, shared.seed.seed, shared.randomState);
+        } else {
+            this.game.initialize(shared.seed.pattern, shared.seed.density, shared.seed.seed);
+        }
+
+        this.organisms.refresh();
+        this.syncParamsFromState();
+        console.log(`Restored shared run (seed ${shared.seed.seed}${shared.cells ? ', with pattern' : ''})`);
+    }
+
+    reportError(action, error) {
+        console.error(`${action} failed:`, error);
+        alert(`${action} failed: ${error.message}`);
     }
 
     switchTheme(themeName) {
+        this.themes.setCurrentTheme(themeName);
         this.scene.switchTheme(themeName);
         const theme = this.themes.getTheme(themeName);
         this.grid.setGridColor(theme.gridColor);
+        this.grid.setPentagonColor(theme.pentagonColor);
+    }
+
+    randomizeSeed() {
+        this.params.seed.seed = SeededRandom.randomSeed();
+        this.seedController.updateDisplay();
+        this.regenerateSeed();
     }
 
     regenerateSeed() {
-        this.game.initialize(this.params.seed.pattern, this.params.seed.density);
+        const seed = Math.floor(this.params.seed.seed) >>> 0;
+        this.game.setSpeciesCount(this.params.seed.species);
+        this.game.initialize(this.params.seed.pattern, this.params.seed.density, seed);
     }
 
     destroy() {
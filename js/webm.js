@@ -0,0 +1,197 @@
+/**
+ * WebM Writer
+ * Minimal WebM (Matroska) muxer for one video track of already encoded
+ * frames, such as WebCodecs VP8/VP9 chunks. Every frame keeps the
+ * timestamp it was given (no Three.js dependency)
+ */
+
+// Element ids, written as is (the length marker is part of the id)
+const EBML = [0x1a, 0x45, 0xdf, 0xa3];
+const EBML_VERSION = [0x42, 0x86];
+const EBML_READ_VERSION = [0x42, 0xf7];
+const EBML_MAX_ID_LENGTH = [0x42, 0xf2];
+const EBML_MAX_SIZE_LENGTH = [0x42, 0xf3];
+const DOC_TYPE = [0x42, 0x82];
+const DOC_TYPE_VERSION = [0x42, 0x87];
+const DOC_TYPE_READ_VERSION = [0x42, 0x85];
+const SEGMENT = [0x18, 0x53, 0x80, 0x67];
+const INFO = [0x15, 0x49, 0xa9, 0x66];
+const TIMECODE_SCALE = [0x2a, 0xd7, 0xb1];
+const DURATION = [0x44, 0x89];
+const MUXING_APP = [0x4d, 0x80];
+const WRITING_APP = [0x57, 0x41];
+const TRACKS = [0x16, 0x54, 0xae, 0x6b];
+const TRACK_ENTRY = [0xae];
+const TRACK_NUMBER = [0xd7];
+const TRACK_UID = [0x73, 0xc5];
+const TRACK_TYPE = [0x83];
+const FLAG_LACING = [0x9c];
+const DEFAULT_DURATION = [0x23, 0xe3, 0x83];
+const CODEC_ID = [0x86];
+const VIDEO = [0xe0];
+const PIXEL_WIDTH = [0xb0];
+const PIXEL_HEIGHT = [0xba];
+const CLUSTER = [0x1f, 0x43, 0xb6, 0x75];
+const TIMECODE = [0xe7];
+const SIMPLE_BLOCK = [0xa3];
+const CUES = [0x1c, 0x53, 0xbb, 0x6b];
+const CUE_POINT = [0xbb];
+const CUE_TIME = [0xb3];
+const CUE_TRACK_POSITIONS = [0xb7];
+const CUE_TRACK = [0xf7];
+const CUE_CLUSTER_POSITION = [0xf1];
+
+// Timestamps are kept in milliseconds (the usual WebM timecode scale)
+const NANOSECONDS_PER_TICK = 1000000;
+
+// Block times are signed 16-bit offsets from their cluster's time
+const MAX_BLOCK_OFFSET = 32767;
+
+const APP_NAME = 'Life Projection';
+
+function byteLength(chunks) {
+    return chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+}
+
+// Element size as a variable-length integer, as short as it fits
+function encodeSize(size) {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[0] |= 0x80 >> (length - 1);
+    return bytes;
+}
+
+function encodeUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
+
+function encodeFloat(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+}
+
+function encodeString(text) {
+    return new TextEncoder().encode(text);
+}
+
+/**
+ * An element as a list of byte chunks: id and size, then the contents.
+ * Contents are byte arrays or other elements; the frame data is never
+ * copied until the file is assembled.
+ */
+function element(id, contents) {
+    const chunks = [];
+    contents.forEach(content => {
+        if (content instanceof Uint8Array) {
+            chunks.push(content);
+        } else {
+            content.forEach(chunk => chunks.push(chunk));
+        }
+    });
+    return [new Uint8Array(id), encodeSize(byteLength(chunks)), ...chunks];
+}
+
+function simpleBlock(frame, offset) {
+    const header = new Uint8Array(4);
+    header[0] = 0x81; // track 1
+    new DataView(header.buffer).setInt16(1, offset);
+    header[3] = frame.key ? 0x80 : 0;
+    return element(SIMPLE_BLOCK, [header, frame.data]);
+}
+
+/**
+ * Build a WebM from frames [{ data, timestamp, key }] in display order:
+ * data a Uint8Array, timestamp in microseconds, key true for keyframes
+ * (the first frame must be one). codecId is the Matroska codec, 'V_VP8'
+ * or 'V_VP9'; frameDuration (microseconds) sets the length of the last
+ * frame. Returns a Uint8Array.
+ */
+export function createWebm(frames, { width, height, codecId, frameDuration }) {
+    const toTicks = microseconds => Math.round(microseconds * 1000 / NANOSECONDS_PER_TICK);
+    const lastTimestamp = frames.length > 0 ? frames[frames.length - 1].timestamp : 0;
+
+    const header = element(EBML, [
+        element(EBML_VERSION, [encodeUint(1)]),
+        element(EBML_READ_VERSION, [encodeUint(1)]),
+        element(EBML_MAX_ID_LENGTH, [encodeUint(4)]),
+        element(EBML_MAX_SIZE_LENGTH, [encodeUint(8)]),
+        element(DOC_TYPE, [encodeString('webm')]),
+        element(DOC_TYPE_VERSION, [encodeUint(2)]),
+        element(DOC_TYPE_READ_VERSION, [encodeUint(2)])
+    ]);
+
+    const info = element(INFO, [
+        element(TIMECODE_SCALE, [encodeUint(NANOSECONDS_PER_TICK)]),
+        element(DURATION, [encodeFloat((lastTimestamp + frameDuration) * 1000 / NANOSECONDS_PER_TICK)]),
+        element(MUXING_APP, [encodeString(APP_NAME)]),
+        element(WRITING_APP, [encodeString(APP_NAME)])
+    ]);
+
+    const tracks = element(TRACKS, [
+        element(TRACK_ENTRY, [
+            element(TRACK_NUMBER, [encodeUint(1)]),
+            element(TRACK_UID, [encodeUint(1)]),
+            element(TRACK_TYPE, [encodeUint(1)]), // video
+            element(FLAG_LACING, [encodeUint(0)]),
+            element(DEFAULT_DURATION, [encodeUint(Math.round(frameDuration * 1000))]),
+            element(CODEC_ID, [encodeString(codecId)]),
+            element(VIDEO, [
+                element(PIXEL_WIDTH, [encodeUint(width)]),
+                element(PIXEL_HEIGHT, [encodeUint(height)])
+            ])
+        ])
+    ]);
+
+    // A cluster starts at every keyframe, and wherever a block would sit
+    // too far from its cluster's time
+    const clusters = [];
+    let current = null;
+    frames.forEach(frame => {
+        const time = toTicks(frame.timestamp);
+        if (!current || frame.key || time - current.time > MAX_BLOCK_OFFSET) {
+            current = { time, key: frame.key, blocks: [] };
+            clusters.push(current);
+        }
+        current.blocks.push(simpleBlock(frame, time - current.time));
+    });
+
+    // Cue points to the keyframe clusters, by offset into the segment
+    let position = byteLength(info) + byteLength(tracks);
+    const cuePoints = [];
+    const clusterElements = clusters.map(cluster => {
+        const clusterElement = element(CLUSTER, [element(TIMECODE, [encodeUint(cluster.time)]), ...cluster.blocks]);
+        if (cluster.key) {
+            cuePoints.push(element(CUE_POINT, [
+                element(CUE_TIME, [encodeUint(cluster.time)]),
+                element(CUE_TRACK_POSITIONS, [
+                    element(CUE_TRACK, [encodeUint(1)]),
+                    element(CUE_CLUSTER_POSITION, [encodeUint(position)])
+                ])
+            ]));
+        }
+        position += byteLength(clusterElement);
+        return clusterElement;
+    });
+    const cues = cuePoints.length > 0 ? [element(CUES, cuePoints)] : [];
+
+    const chunks = [...header, ...element(SEGMENT, [info, tracks, ...clusterElements, ...cues])];
+    const bytes = new Uint8Array(byteLength(chunks));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
@@ -0,0 +1,95 @@
+/**
+ * Zip Writer
+ * Minimal uncompressed (stored) zip archives, enough to bundle already
+ * compressed files such as PNG frames (no Three.js dependency)
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip from [{ name, data }], data a Uint8Array. Entries carry a fixed
+ * timestamp, so the same files always give the same archive. Returns a
+ * Uint8Array.
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => ({
+        name: encoder.encode(file.name),
+        data: file.data,
+        crc: crc32(file.data)
+    }));
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+
+    // DOS date/time of 1980-01-01 00:00
+    const DOS_TIME = 0;
+    const DOS_DATE = (1 << 5) | 1;
+
+    let offset = 0;
+    const offsets = [];
+    entries.forEach(entry => {
+        offsets.push(offset);
+        view.setUint32(offset, 0x04034b50, true);
+        view.setUint16(offset + 4, 20, true); // version needed
+        view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+        view.setUint16(offset + 8, 0, true); // stored
+        view.setUint16(offset + 10, DOS_TIME, true);
+        view.setUint16(offset + 12, DOS_DATE, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        bytes.set(entry.name, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach((entry, index) => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true); // version made by
+        view.setUint16(offset + 6, 20, true); // version needed
+        view.setUint16(offset + 8, 0x0800, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, DOS_TIME, true);
+        view.setUint16(offset + 14, DOS_DATE, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        // Extra, comment, disk, attributes: all zero
+        view.setUint32(offset + 42, offsets[index], true);
+        bytes.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+
+    return bytes;
+}
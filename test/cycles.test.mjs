@@ -0,0 +1,106 @@
+/**
+ * Cycle Detection Tests
+ * Headless checks that a settle report means the run really repeats.
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { CycleDetector } from '../js/cycles.js';
+import { LifeSimulation } from '../js/simulation.js';
+import { buildAdjacency } from '../js/topology.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function loadGrid(subdivisions) {
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'lib', 'hexasphere.min.js'), 'utf8'), sandbox);
+    const tiles = new sandbox.window.Hexasphere(100, subdivisions, 1.0).tiles;
+    return { tiles, adjacency: buildAdjacency(tiles) };
+}
+
+// Step until the detector reports something other than 'running'
+function runUntilSettled(simulation, detector, maxTicks) {
+    detector.record(simulation.getTickCount(), simulation.getState(), simulation.isStochastic());
+    for (let tick = 1; tick <= maxTicks; tick++) {
+        simulation.step();
+        const status = detector.record(simulation.getTickCount(), simulation.getState(), simulation.isStochastic());
+        if (status.state !== 'running') return status;
+    }
+    return detector.getStatus();
+}
+
+test('a repeated alive set with different decay states is not a still life', () => {
+    const detector = new CycleDetector();
+    const alive = Uint8Array.from([1, 1, 0, 0]);
+    detector.record(1, { alive, decay: Uint8Array.from([0, 0, 1, 0]) });
+    const status = detector.record(2, { alive, decay: Uint8Array.from([0, 0, 0, 1]) });
+    assert.equal(status.state, 'running');
+
+    const repeat = detector.record(3, { alive, decay: Uint8Array.from([0, 0, 0, 1]) });
+    assert.equal(repeat.state, 'still');
+});
+
+test('a repeated alive set with different species is not a still life', () => {
+    const detector = new CycleDetector();
+    const alive = Uint8Array.from([1, 1, 0]);
+    detector.record(1, { alive, species: Uint8Array.from([0, 1, 0]) });
+    const status = detector.record(2, { alive, species: Uint8Array.from([1, 1, 0]) });
+    assert.equal(status.state, 'running');
+
+    // Species left on dead cells do not count
+    const repeat = detector.record(3, { alive, species: Uint8Array.from([1, 1, 2]) });
+    assert.equal(repeat.state, 'still');
+});
+
+test('a settled Generations run repeats alive set and decay states', () => {
+    const { tiles, adjacency } = loadGrid(8);
+    const simulation = new LifeSimulation(tiles, adjacency);
+    simulation.setRulestring('B3/S23/C3H');
+    simulation.initialize('random', 0.2, 1);
+
+    const status = runUntilSettled(simulation, new CycleDetector(), 500);
+    assert.ok(status.state === 'still' || status.state === 'cycle', `settled as ${status.state}`);
+
+    const settled = simulation.getState();
+    const alive = settled.alive.slice();
+    const decay = settled.decay.slice();
+    for (let i = 0; i < status.period * 3; i++) {
+        simulation.step();
+    }
+    assert.deepEqual(simulation.getState().alive, alive);
+    assert.deepEqual(simulation.getState().decay, decay);
+});
+
+test('sudden death never reports a still life or cycle', () => {
+    const { tiles, adjacency } = loadGrid(8);
+    const simulation = new LifeSimulation(tiles, adjacency);
+    simulation.setSuddenDeathEnabled(true);
+    simulation.setSuddenDeathProbability(0.002);
+    simulation.initialize('random', 0.2, 1);
+    assert.equal(simulation.isStochastic(), true);
+
+    // Ignoring the random rule, the run looks settled within a few hundred
+    // ticks though sudden death keeps changing it
+    const fooled = new CycleDetector();
+    const copy = new LifeSimulation(tiles, adjacency);
+    copy.setSuddenDeathEnabled(true);
+    copy.setSuddenDeathProbability(0.002);
+    copy.initialize('random', 0.2, 1);
+    fooled.record(0, copy.getState());
+    let falseReport = null;
+    for (let tick = 1; tick <= 400 && !falseReport; tick++) {
+        copy.step();
+        const status = fooled.record(tick, copy.getState());
+        if (status.state === 'cycle' || status.state === 'still') falseReport = status;
+    }
+    assert.ok(falseReport, 'expected a repeat without the stochastic flag');
+
+    const status = runUntilSettled(simulation, new CycleDetector(), 1000);
+    assert.notEqual(status.state, 'still');
+    assert.notEqual(status.state, 'cycle');
+});
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/**
+ * Parameter Sweep CLI
+ * Runs every combination of a sweep spec on the headless LifeSimulation,
+ * with the same Hexasphere tiling and rules as the browser, and writes
+ * per-tick rows or per-run summaries as CSV or NDJSON.
+ *
+ *   node tools/sweep.mjs tools/sweep.example.json [--format csv|ndjson]
+ *       [--per-tick] [--ticks N] [--out results.csv]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { buildAdjacency } from '../js/topology.js';
+import { LifeSimulation } from '../js/simulation.js';
+import { detectComponents, findOppositePairs } from '../js/components.js';
+import { CycleDetector } from '../js/cycles.js';
+import { LineageTracker } from '../js/lineage.js';
+import { MotionClassifier } from '../js/motion.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Sweep keys and how each one is applied to a LifeSimulation
+const PARAMETERS = {
+    rulestring: (simulation, value) => simulation.setRulestring(value),
+    birth: (simulation, value) => simulation.setBirthNeighbors(value),
+    survival: (simulation, value) => simulation.setSurvivalNeighbors(value),
+    states: (simulation, value) => simulation.setStateCount(value),
+    birthProbability: (simulation, value) => {
+        simulation.setBirthProbabilityEnabled(value < 1);
+        simulation.setBirthProbability(value);
+    },
+    survivalProbability: (simulation, value) => {
+        simulation.setSurvivalProbabilityEnabled(value < 1);
+        simulation.setSurvivalProbability(value);
+    },
+    ageDeathThreshold: (simulation, value) => {
+        simulation.setAgeDeathEnabled(true);
+        simulation.setAgeDeathThreshold(value);
+    },
+    ageDeathRate: (simulation, value) => {
+        simulation.setAgeDeathEnabled(true);
+        simulation.setAgeDeathRate(value);
+    },
+    suddenDeathProbability: (simulation, value) => {
+        simulation.setSuddenDeathEnabled(value > 0);
+        simulation.setSuddenDeathProbability(value);
+    },
+    pentagonMode: (simulation, value) => simulation.setPentagonRuleMode(value),
+    species: (simulation, value) => simulation.setSpeciesCount(value),
+    // Seeding, applied through initialize()
+    pattern: () => {},
+    density: () => {},
+    seed: () => {}
+};
+
+const DEFAULT_SPEC = {
+    grid: { radius: 100, subdivisions: 8 },
+    ticks: 200,
+    format: 'csv',
+    perTick: false,
+    // Organism detection and pairing, as in the Organisms folder
+    organisms: { minAge: 5, minSize: 5, targetAngle: 180, angularTolerance: 15, motion: 'any', policy: 'nearest', every: 1 },
+    sweep: {}
+};
+
+function fail(message) {
+    console.error(`sweep: ${message}`);
+    process.exit(1);
+}
+
+/**
+ * Load lib/hexasphere.min.js (a browser bundle that sets window.Hexasphere)
+ * in its own context, so Node builds the exact tiling the browser does
+ */
+function loadHexasphere() {
+    const file = path.join(ROOT, 'lib', 'hexasphere.min.js');
+    if (!fs.existsSync(file)) {
+        fail(`${file} not found (see Installation in README.md)`);
+    }
+    const sandbox = { window: {} };
+    vm.runInNewContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    return sandbox.window.Hexasphere;
+}
+
+function parseArgs(argv) {
+    const options = { specFile: null, overrides: {}, out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--format':
+                options.overrides.format = argv[++i];
+                break;
+            case '--per-tick':
+                options.overrides.perTick = true;
+                break;
+            case '--ticks':
+                options.overrides.ticks = Number(argv[++i]);
+                break;
+            case '--out':
+                options.out = argv[++i];
+                break;
+            case '--help':
+            case '-h':
+                console.log('Usage: node tools/sweep.mjs <spec.json> [--format csv|ndjson] [--per-tick] [--ticks N] [--out file]');
+                process.exit(0);
+                break;
+            default:
+                if (arg.startsWith('--') || options.specFile) {
+                    fail(`unexpected argument "${arg}"`);
+                }
+                options.specFile = arg;
+        }
+    }
+    return options;
+}
+
+function loadSpec(options) {
+    let spec = {};
+    if (options.specFile) {
+        try {
+            spec = JSON.parse(fs.readFileSync(options.specFile, 'utf8'));
+        } catch (error) {
+            fail(`cannot read spec ${options.specFile}: ${error.message}`);
+        }
+    }
+
+    const merged = {
+        ...DEFAULT_SPEC,
+        ...spec,
+        ...options.overrides,
+        grid: { ...DEFAULT_SPEC.grid, ...spec.grid },
+        organisms: { ...DEFAULT_SPEC.organisms, ...spec.organisms },
+        sweep: { ...spec.sweep }
+    };
+
+    if (!['csv', 'ndjson'].includes(merged.format)) {
+        fail(`format must be csv or ndjson, got "${merged.format}"`);
+    }
+    if (!Number.isInteger(merged.ticks) || merged.ticks < 1) {
+        fail(`ticks must be a positive integer, got ${merged.ticks}`);
+    }
+    Object.keys(merged.sweep).forEach(key => {
+        if (!PARAMETERS[key]) {
+            fail(`unknown sweep parameter "${key}" (known: ${Object.keys(PARAMETERS).join(', ')})`);
+        }
+    });
+    return merged;
+}
+
+/**
+ * A sweep value is a list, a { from, to, step } range or a single value
+ */
+function expandValues(key, value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object' && 'from' in value) {
+        const { from, to, step = 1 } = value;
+        if (!(step > 0)) fail(`sweep.${key} step must be positive`);
+        const values = [];
+        // Rounded, so 0.1 steps do not drift
+        for (let i = 0; from + i * step <= to + step * 1e-9; i++) {
+            values.push(Number((from + i * step).toFixed(10)));
+        }
+        return values;
+    }
+    return [value];
+}
+
+function* combinations(sweep) {
+    const keys = Object.keys(sweep);
+    const lists = keys.map(key => expandValues(key, sweep[key]));
+    if (lists.some(list => list.length === 0)) return;
+
+    const counters = new Array(keys.length).fill(0);
+    while (true) {
+        const config = {};
+        keys.forEach((key, i) => {
+            config[key] = lists[i][counters[i]];
+        });
+        yield config;
+
+        // Odometer: the last key changes fastest
+        let i = keys.length - 1;
+        while (i >= 0 && ++counters[i] === lists[i].length) {
+            counters[i] = 0;
+            i--;
+        }
+        if (i < 0) return;
+    }
+}
+
+function countOrganisms(simulation, adjacency, tiles, tracking, settings) {
+    const state = simulation.getState();
+    const components = detectComponents(state, adjacency, tiles);
+    // Pair on lineage ages and motion classes, as OrganismTracker does
+    const identities = tracking.lineage.update(state.tickCount, components, state.cellCount, adjacency);
+    const motions = tracking.motion.update(
+        state.tickCount,
+        components.map((component, index) => ({ id: identities[index].id, cells: component.cells, center: component.center })),
+        state
+    );
+    const organisms = components.map((component, index) => ({
+        ...component,
+        id: identities[index].id,
+        age: identities[index].age,
+        motion: motions[index].motion
+    }));
+    const pairs = findOppositePairs(organisms, { ...settings, previousPairs: tracking.pairs });
+    tracking.pairs = pairs.map(([a, b]) => [organisms[a].id, organisms[b].id]);
+    return { organisms: components.length, pairs: pairs.length };
+}
+
+/**
+ * Run one configuration. Calls onTick with each tick's row; returns the
+ * summary row.
+ */
+function runConfig(spec, topology, config, onTick) {
+    const { tiles, adjacency } = topology;
+    const simulation = new LifeSimulation(tiles, adjacency);
+    Object.entries(config).forEach(([key, value]) => PARAMETERS[key](simulation, value));
+    simulation.initialize(config.pattern || 'random', config.density ?? 0.2, config.seed ?? 1);
+
+    const settings = spec.organisms;
+    const every = Math.max(1, settings.every);
+    const cycles = new CycleDetector();
+    cycles.record(0, simulation.getState(), simulation.isStochastic());
+    const tracking = { lineage: new LineageTracker(), motion: new MotionClassifier(), pairs: [] };
+    tracking.motion.setTopology(tiles, adjacency);
+
+    const summary = {
+        rule: simulation.getRulestring(),
+        ticks: spec.ticks,
+        finalPopulation: 0,
+        minPopulation: Infinity,
+        maxPopulation: 0,
+        meanPopulation: 0,
+        totalBirths: 0,
+        totalDeaths: 0,
+        finalOrganisms: 0,
+        maxOrganisms: 0,
+        finalPairs: 0,
+        maxPairs: 0,
+        settled: 'running',
+        settlePeriod: 0,
+        settleTick: 0
+    };
+    let counts = { organisms: 0, pairs: 0 };
+    let populationSum = 0;
+
+    for (let tick = 1; tick <= spec.ticks; tick++) {
+        simulation.step();
+        const state = simulation.getState();
+        tracking.motion.observe(state);
+
+        let population = 0;
+        let births = 0;
+        let deaths = 0;
+        for (let i = 0; i < state.cellCount; i++) {
+            population += state.alive[i];
+            if (state.alive[i] && !state.previousAlive[i]) births++;
+            if (!state.alive[i] && state.previousAlive[i]) deaths++;
+        }
+
+        // Between detections the last counts carry over
+        if (tick === 1 || tick % every === 0 || tick === spec.ticks) {
+            counts = countOrganisms(simulation, adjacency, tiles, tracking, settings);
+        }
+
+        const status = cycles.record(tick, state, simulation.isStochastic());
+
+        populationSum += population;
+        summary.minPopulation = Math.min(summary.minPopulation, population);
+        summary.maxPopulation = Math.max(summary.maxPopulation, population);
+        summary.totalBirths += births;
+        summary.totalDeaths += deaths;
+        summary.maxOrganisms = Math.max(summary.maxOrganisms, counts.organisms);
+        summary.maxPairs = Math.max(summary.maxPairs, counts.pairs);
+
+        if (onTick) {
+            onTick({ tick, population, births, deaths, organisms: counts.organisms, pairs: counts.pairs, settled: status.state });
+        }
+    }
+
+    const status = cycles.getStatus();
+    summary.finalPopulation = simulation.getAliveCount();
+    summary.meanPopulation = Number((populationSum / spec.ticks).toFixed(2));
+    summary.finalOrganisms = counts.organisms;
+    summary.finalPairs = counts.pairs;
+    summary.settled = status.state;
+    summary.settlePeriod = status.period;
+    summary.settleTick = status.tickCount;
+    return summary;
+}
+
+function formatValue(value) {
+    // Neighbor sets print as "2 3 4" so they stay one CSV field
+    return Array.isArray(value) ? value.join(' ') : value;
+}
+
+function createWriter(format, stream) {
+    let columns = null;
+    const csvField = value => {
+        const text = String(formatValue(value));
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return row => {
+        if (format === 'ndjson') {
+            stream.write(`${JSON.stringify(row)}\n`);
+            return;
+        }
+        if (!columns) {
+            columns = Object.keys(row);
+            stream.write(`${columns.join(',')}\n`);
+        }
+        stream.write(`${columns.map(column => csvField(row[column])).join(',')}\n`);
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const spec = loadSpec(options);
+
+    const Hexasphere = loadHexasphere();
+    const { radius, subdivisions } = spec.grid;
+    const hexasphere = new Hexasphere(radius, subdivisions, 1.0);
+    const topology = { tiles: hexasphere.tiles, adjacency: buildAdjacency(hexasphere.tiles) };
+
+    const stream = options.out ? fs.createWriteStream(options.out) : process.stdout;
+    const write = createWriter(spec.format, stream);
+    const configs = Array.from(combinations(spec.sweep));
+    console.error(`Sweeping ${configs.length} configuration(s) on ${topology.tiles.length} tiles, ${spec.ticks} ticks each`);
+
+    configs.forEach((config, index) => {
+        const prefix = { run: index, ...config };
+        const onTick = spec.perTick ? row => write({ ...prefix, ...row }) : null;
+        const summary = runConfig(spec, topology, config, onTick);
+        if (!spec.perTick) {
+            write({ ...prefix, ...summary });
+        }
+        console.error(`  ${index + 1}/${configs.length} ${summary.rule}: ${summary.finalPopulation} alive, ${summary.settled}`);
+    });
+
+    if (options.out) {
+        stream.end();
+    }
+}
+
+main();